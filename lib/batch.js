@@ -0,0 +1,108 @@
+const utils = require('./utils')
+
+class BatchPublisher {
+  /**
+   * Batch publisher constructor. Collects published messages and inserts
+   * them with one `publishMany` once `maxSize` messages are collected or the
+   * oldest message has waited `maxWait`.
+   *
+   * @param {Channel} channel
+   * @param {Object} [options]
+   *   - `maxSize` max amount of messages of a batch, default is 100
+   *   - `maxWait` max time in ms a message waits for its batch, default is 10ms
+   *   - `ordered` stop at the first message of a batch which fails, default is true
+   * @api private
+   */
+  constructor (channel, options) {
+    options || (options = {})
+    this.options = {
+      maxSize: options.maxSize > 0 ? Math.floor(options.maxSize) : 100,
+      maxWait: typeof options.maxWait === 'number' ? options.maxWait : 10,
+      ordered: options.ordered !== false
+    }
+
+    this.channel = channel
+    this.items = []
+    this.callbacks = []
+    this.timer = null
+  }
+
+  /**
+   * Publish an event with the next batch.
+   *
+   * @param {String} event
+   * @param {Object} [message]
+   * @param {Object} [options] options of `Channel#publish`
+   * @param {Function} [callback]
+   * @return {BatchPublisher|Promise} this, or a Promise of the result of
+   *   `Channel#publish` if no callback passed
+   * @api public
+   */
+  publish (event, message, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    try {
+      this.channel.checkOpen()
+    } catch (err) {
+      process.nextTick(done, err)
+      return promise || this
+    }
+
+    this.items.push(Object.assign({}, options, { event, message }))
+    this.callbacks.push(done)
+    // Closing the channel publishes the collected messages.
+    this.channel.batches.add(this)
+
+    if (this.items.length >= this.options.maxSize) {
+      this.flush()
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.flush()
+      }, this.options.maxWait)
+    }
+
+    return promise || this
+  }
+
+  /**
+   * Publish the collected messages right away.
+   *
+   * @param {Function} [callback]
+   * @return {BatchPublisher|Promise} this, or a Promise if no callback passed
+   * @api public
+   */
+  flush (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    const items = this.items
+    const callbacks = this.callbacks
+
+    clearTimeout(this.timer)
+    this.timer = null
+    this.items = []
+    this.callbacks = []
+    this.channel.batches.delete(this)
+
+    if (!items.length) {
+      process.nextTick(done)
+      return promise || this
+    }
+
+    this.channel.publishMany(items, { ordered: this.options.ordered }, function (err, results) {
+      callbacks.forEach(function (cb, i) {
+        if (err) return cb(err)
+        results[i].error ? cb(results[i].error) : cb(null, results[i])
+      })
+      done(err)
+    })
+
+    return promise || this
+  }
+}
+
+module.exports = BatchPublisher
@@ -1,6 +1,41 @@
 const EventEmitter = require('events')
+const utils = require('./utils')
+const DurableSubscription = require('./durable')
+const QueueConsumer = require('./queue')
+const rpc = require('./rpc')
+const query = require('./query')
+const Codec = require('./codec')
+const Scheduler = require('./scheduler')
+const BatchPublisher = require('./batch')
+const Handler = require('./handler')
+const metrics = require('./metrics')
+const Tracing = require('./tracing')
+const presence = require('./presence')
+const validation = require('./schema')
 const noop = function () {}
 
+/**
+ * Events emitted by the channel itself rather than published to it.
+ *
+ * @api private
+ */
+const CHANNEL_EVENTS = [
+  'newListener',
+  'removeListener',
+  'error',
+  'collection',
+  'ready',
+  'document',
+  'message',
+  'gap',
+  'invalid',
+  'handlerError',
+  'sequenceGap',
+  'close',
+  'join',
+  'leave'
+]
+
 class Channel extends EventEmitter {
   /**
    * Channel constructor.
@@ -12,9 +47,20 @@ class Channel extends EventEmitter {
    *   - `max` max amount of documents in the collection
    *   - `retryInterval` time in ms to wait if no docs found, default is 200ms (capped mode)
    *   - `pollInterval` time in ms between polling cycles, default is 1000ms (polling mode)
-   *   - `pollTtlSeconds` ttl in seconds for polling collection retention, disabled by default
-   *   - `mode` transport mode: auto | capped | polling, default is auto
+   *   - `pollTtlSeconds` ttl in seconds for polling/change stream collection retention, disabled by default
+   *   - `mode` transport mode: auto | capped | changestream | polling, default is auto
    *   - `recreate` recreate the tailable cursor on error, default is true
+   *   - `filter` only fetch documents of subscribed events from the server, default is false
+   *   - `codec` message codec: bson | json | `{ name, encode, decode }`, default is bson
+   *   - `compression` compress encoded messages: gzip | deflate | brotli | zstd,
+   *     or `{ algorithm, threshold }` to only compress messages from `threshold` bytes, default is 1024
+   *   - `schemas` message schemas by event name, see `Channel#schema`
+   *   - `validator` install the JSON Schemas of `schemas` as `$jsonSchema`
+   *     validator when the collection is created, default is false
+   *   - `tracing` propagate the OpenTelemetry trace context from publishers to
+   *     subscribers: `{ api, tracer }`, see `Tracing`
+   *   - `presence` register this process as member of the channel: `true` or
+   *     `{ interval, ttl }`, see `Presence`, disabled by default
    * @api public
    */
   constructor (connection, name, options) {
@@ -28,9 +74,11 @@ class Channel extends EventEmitter {
         typeof options.pollInterval === 'number' ? options.pollInterval : 1000,
       pollTtlSeconds:
         typeof options.pollTtlSeconds === 'number' ? options.pollTtlSeconds : 0,
-      mode: ['auto', 'capped', 'polling'].includes(options.mode)
+      mode: ['auto', 'capped', 'changestream', 'polling'].includes(options.mode)
         ? options.mode
-        : 'auto'
+        : 'auto',
+      filter: options.filter === true,
+      validator: options.validator === true
     }
 
     this.collectionOpts = {
@@ -39,31 +87,151 @@ class Channel extends EventEmitter {
       max: options.max
     }
 
+    this.codec = new Codec(options.codec, options.compression)
+    this.schemas = {}
+    this.validators = {}
     this.connection = connection
     this.closed = false
+    this.closing = null
+    this.failure = null
+    this.consumers = new Set()
+    this.publishing = new Set()
+    this.batches = new Set()
     this.listening = null
+    this.listener = 0
+    this.stop = null
+    this.position = null
     this.transport = null
     this.pollingTimer = null
+    this.changeStream = null
+    this.resumeToken = null
+    this.requester = null
+    this.scheduler = new Scheduler(this)
+    this.metrics = new metrics.Metrics()
+    this.tracing = options.tracing ? new Tracing(this, options.tracing) : null
+    this.heartbeat = options.presence ? new presence.Presence(this, options.presence) : null
+    this.keyIndex = null
+    this.matchers = []
+    this.selectors = []
+    this.selector = {}
+    this.rebuild = null
+    this.rebuilding = false
+    this.refiltering = false
+    this.blockers = new Set()
+    this.current = null
+    this.resumers = new Set()
     this.name = name || 'mubsub'
 
+    Object.keys(options.schemas || {}).forEach((event) => {
+      this.schema(event, options.schemas[event])
+    })
+
+    if (this.options.validator && (this.codec.codec.name !== 'bson' || this.codec.compression)) {
+      throw new Error('Mubsub: the validator option requires the bson codec without compression.')
+    }
+
+    // Subscriptions removed with `removeListener(event, callback)` stop
+    // their handler as well.
+    this.on('removeListener', (event) => {
+      this.consumers.forEach((consumer) => {
+        if (consumer.handle && consumer.handle.listener && consumer.event === event &&
+            !this.rawListeners(event).includes(consumer.handle)) {
+          consumer.close()
+        }
+      })
+    })
+
+    if (this.options.filter) {
+      const onListener = (event) => {
+        if (typeof event === 'string' && !CHANNEL_EVENTS.includes(event)) {
+          this.refilter()
+        }
+      }
+      this.on('newListener', onListener)
+      this.on('removeListener', onListener)
+    }
+
     this.initializeTransport()
     this.setMaxListeners(0)
+    if (this.heartbeat) this.heartbeat.start()
   }
 
   /**
-   * Close the channel.
+   * Close the channel. Stops fetching documents and closes the cursor or
+   * change stream, then the subscriptions. With `drain` the messages being
+   * handled or buffered by the subscriptions (including their retries) and
+   * the pending publishes are awaited first, new publishes and subscriptions
+   * fail meanwhile. Emits 'close' once closed.
    *
-   * @return {Channel} this
+   * @param {Object} [options]
+   *   - `drain` wait for in-flight handlers and publishes, default is false
+   *   - `timeout` max time in ms to wait for them, default is 30000ms
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise if no callback passed
    * @api public
    */
-  close () {
-    this.closed = true
-    if (this.pollingTimer) {
-      clearTimeout(this.pollingTimer)
-      this.pollingTimer = null
+  close (options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
     }
+    options || (options = {})
 
-    return this
+    const self = this
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    if (!this.closing) {
+      // Publish the collected messages of batch publishers while still open,
+      // so draining waits for them.
+      this.batches.forEach((batch) => batch.flush(noop))
+      this.listener++
+      if (this.stop) {
+        this.stop()
+        this.stop = null
+      }
+      if (this.pollingTimer) {
+        clearTimeout(this.pollingTimer)
+        this.pollingTimer = null
+      }
+      if (this.changeStream) {
+        this.changeStream.close().catch(noop)
+        this.changeStream = null
+      }
+      this.scheduler.close()
+      this.resumers.clear()
+      if (this.requester) this.requester.close()
+
+      const consumers = Array.from(this.consumers)
+      let settled = Promise.resolve()
+
+      if (options.drain) {
+        const timeout = typeof options.timeout === 'number' ? options.timeout : 30000
+        let timer
+
+        settled = Promise.race([
+          Promise.all(consumers.map((consumer) => consumer.idle()).concat(Array.from(this.publishing))),
+          new Promise((resolve) => {
+            timer = setTimeout(resolve, timeout)
+          })
+        ]).then(() => clearTimeout(timer))
+      } else {
+        this.closed = true
+      }
+
+      this.closing = settled
+        .then(() => {
+          self.closed = true
+          consumers.forEach((consumer) => consumer.close())
+          return self.heartbeat && self.heartbeat.stop()
+        })
+        .then(() => {
+          self.emit('close')
+        })
+    }
+
+    this.closing.then(() => done(), done)
+
+    return promise || this
   }
 
   /**
@@ -71,225 +239,1784 @@ class Channel extends EventEmitter {
    *
    * @param {String} event
    * @param {Object} [message]
+   * @param {Object} [options]
+   *   - `deliverAt` Date (or timestamp) to deliver the message at
+   *   - `delay` time in ms to deliver the message after
+   *   - `ttl` time in ms the message expires after it is due
+   *   - `idempotencyKey` unique key of the message, publishing a message with
+   *     the same key again doesn't insert it but yields the existing `_id`
+   *     and `duplicate: true`
+   *   - `key` partition key, messages with the same key get an increasing
+   *     sequence number and ordered subscribers get them in sequence
+   *   - `headers` headers of the message, merged with the default headers of
+   *     the connection
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of `{ _id }` if no callback passed
+   * @api public
+   */
+  publish (event, message, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    options || (options = {})
+
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    let doc
+
+    try {
+      this.checkOpen()
+      doc = this.createDocument(event, message, options)
+    } catch (err) {
+      process.nextTick(done, err)
+      return promise || this
+    }
+
+    this.insert(doc, done)
+
+    return promise || this
+  }
+
+  /**
+   * Publish several events with one `insertMany`.
+   *
+   * @param {Array} items `{ event, message }`, with the options of `publish`
+   * @param {Object} [options]
+   *   - `ordered` stop at the first message which fails, default is true
    * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of the results if no callback
+   *   passed, `{ _id }`, `{ _id, duplicate: true }` or `{ error }` for each item
+   * @api public
+   */
+  publishMany (items, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    options || (options = {})
+
+    const self = this
+    const ordered = options.ordered !== false
+    const { callback: reply, promise } = utils.callbackOrPromise(callback)
+
+    try {
+      this.checkOpen()
+    } catch (err) {
+      process.nextTick(reply, err)
+      return promise || this
+    }
+
+    const done = this.track(reply)
+    // The trace context of the caller, the collection may not be ready yet.
+    const parent = this.tracing && this.tracing.active()
+
+    this.ready(function (collection) {
+      const results = new Array(items.length)
+      const docs = []
+      const indexes = []
+      let spans = []
+
+      function finish () {
+        for (let i = 0; i < results.length; i++) {
+          results[i] || (results[i] = {
+            error: new Error('Mubsub: message not published, a previous message failed.')
+          })
+        }
+        spans.forEach((span, k) => self.tracing.end(span, results[indexes[k]].error))
+        done(null, results)
+      }
+
+      function fail (err) {
+        spans.forEach((span) => self.tracing.end(span, err))
+        done(err)
+      }
+
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i]
+        try {
+          docs.push(self.prepare(self.createDocument(item.event, item.message, item)))
+          indexes.push(i)
+        } catch (err) {
+          results[i] = { error: err }
+          if (ordered) break
+        }
+      }
+
+      if (!docs.length) {
+        return finish()
+      }
+
+      if (self.tracing) {
+        spans = docs.map((doc) => self.tracing.send(doc, parent))
+      }
+
+      const keyed = docs.some((doc) => doc._idempotencyKey != null)
+
+      ;(keyed ? self.ensureKeyIndex(collection) : Promise.resolve())
+        .then(() => self.sequence(collection, docs, ordered))
+        .then(() => collection.insertMany(docs, { ordered }))
+        .then(() => {
+          docs.forEach((doc, k) => {
+            self.metrics.publish(doc.event)
+            results[indexes[k]] = { _id: doc._id }
+          })
+          finish()
+        })
+        .catch((err) => {
+          if (!err.writeErrors) {
+            return fail(err)
+          }
+
+          const failed = new Map()
+          ;[].concat(err.writeErrors).forEach((writeError) => {
+            const error = new Error(writeError.errmsg)
+            error.code = writeError.code
+            failed.set(writeError.index, error)
+          })
+          const first = Math.min(...failed.keys())
+          const duplicates = []
+
+          docs.forEach((doc, k) => {
+            if (failed.has(k)) {
+              if (failed.get(k).code === 11000 && doc._idempotencyKey != null) {
+                duplicates.push(k)
+              }
+              results[indexes[k]] = { error: failed.get(k) }
+            } else if (!ordered || k < first) {
+              self.metrics.publish(doc.event)
+              results[indexes[k]] = { _id: doc._id }
+            }
+          })
+
+          if (!duplicates.length) {
+            return finish()
+          }
+
+          return collection
+            .find({ _idempotencyKey: { $in: duplicates.map((k) => docs[k]._idempotencyKey) } })
+            .project({ _id: 1, _idempotencyKey: 1 })
+            .toArray()
+            .then((existing) => {
+              duplicates.forEach((k) => {
+                const match = existing.find((doc) => query.equals(doc._idempotencyKey, docs[k]._idempotencyKey))
+                if (match) {
+                  results[indexes[k]] = { _id: match._id, duplicate: true }
+                }
+              })
+              finish()
+            })
+        })
+        .catch((err) => {
+          fail(err)
+        })
+    })
+
+    return promise || this
+  }
+
+  /**
+   * Check that the channel isn't closing, before new publishes and
+   * subscriptions.
+   *
+   * @api private
+   */
+  checkOpen () {
+    if (this.closing) {
+      throw new Error('Mubsub: channel is closed.')
+    }
+  }
+
+  /**
+   * Create a publisher which collects published messages and inserts them
+   * with `publishMany` once `maxSize` messages are collected or `maxWait`
+   * has passed.
+   *
+   * @param {Object} [options]
+   *   - `maxSize` max amount of messages of a batch, default is 100
+   *   - `maxWait` max time in ms a message waits for its batch, default is 10ms
+   *   - `ordered` stop at the first message of a batch which fails, default is true
+   * @return {BatchPublisher}
+   * @api public
+   */
+  batch (options) {
+    return new BatchPublisher(this, options)
+  }
+
+  /**
+   * Create the document for a message.
+   *
+   * @param {String} event
+   * @param {*} message
+   * @param {Object} options options of `publish`
+   * @return {Object}
+   * @api private
+   */
+  createDocument (event, message, options) {
+    if (utils.isReserved(event)) {
+      throw new Error(`Mubsub: events starting with "${utils.RESERVED}" are reserved.`)
+    }
+
+    const doc = { event, message }
+
+    if (options.deliverAt != null || options.delay != null) {
+      doc._deliverAt = options.deliverAt != null
+        ? new Date(options.deliverAt)
+        : new Date(Date.now() + options.delay)
+
+      if (isNaN(doc._deliverAt.getTime())) {
+        throw new Error('Mubsub: deliverAt must be a date, delay a number.')
+      }
+    }
+
+    if (options.ttl != null) {
+      if (!(options.ttl > 0)) {
+        throw new Error('Mubsub: ttl must be a positive number.')
+      }
+      doc._expireAt = new Date((doc._deliverAt ? doc._deliverAt.getTime() : Date.now()) + options.ttl)
+    }
+
+    if (options.idempotencyKey != null) {
+      doc._idempotencyKey = options.idempotencyKey
+    }
+
+    if (options.key != null) {
+      if (typeof options.key !== 'string' || !options.key) {
+        throw new Error('Mubsub: key must be a non-empty string.')
+      }
+      doc._key = options.key
+    }
+
+    if (options.headers != null) {
+      if (typeof options.headers !== 'object' || Array.isArray(options.headers)) {
+        throw new Error('Mubsub: headers must be an object.')
+      }
+      doc._headers = Object.assign({}, options.headers)
+    }
+
+    return doc
+  }
+
+  /**
+   * Assign the next sequence numbers of their event and key to documents, in
+   * order. The last number of every event and key is kept in the
+   * `<channel>.counters` collection, so subscribers of one event see no gaps
+   * for the messages of other events. Duplicates of published idempotency keys, and with `ordered`
+   * the documents after them, won't be inserted and get no number.
+   *
+   * @param {Collection} collection
+   * @param {Array} docs
+   * @param {Boolean} ordered whether the insert stops at the first failure
+   * @return {Promise}
+   * @api private
+   */
+  sequence (collection, docs, ordered) {
+    if (!docs.some((doc) => doc._key != null)) {
+      return Promise.resolve()
+    }
+
+    return this.duplicates(collection, docs).then((duplicates) => {
+      const keys = new Map()
+
+      for (const doc of docs) {
+        if (duplicates.has(doc)) {
+          if (ordered) break
+          continue
+        }
+        if (doc._key == null) continue
+        const id = JSON.stringify([doc.event, doc._key])
+        keys.has(id) || keys.set(id, [])
+        keys.get(id).push(doc)
+      }
+
+      return this.count(keys)
+    })
+  }
+
+  /**
+   * Find the documents with an idempotency key which was published already,
+   * or which is repeated by an earlier document.
+   *
+   * @param {Collection} collection
+   * @param {Array} docs
+   * @return {Promise} Promise of a Set of the duplicates
+   * @api private
+   */
+  duplicates (collection, docs) {
+    const keyed = docs.filter((doc) => doc._idempotencyKey != null)
+    if (!keyed.length) {
+      return Promise.resolve(new Set())
+    }
+
+    return collection
+      .find({ _idempotencyKey: { $in: keyed.map((doc) => doc._idempotencyKey) } })
+      .project({ _idempotencyKey: 1 })
+      .toArray()
+      .then((existing) => new Set(keyed.filter((doc, i) => {
+        return existing.concat(keyed.slice(0, i)).some((item) => {
+          return query.equals(item._idempotencyKey, doc._idempotencyKey)
+        })
+      })))
+  }
+
+  /**
+   * Take the next sequence numbers of events and keys for their documents.
+   *
+   * @param {Map} keys documents by event and key
+   * @return {Promise}
+   * @api private
+   */
+  count (keys) {
+    const counters = this.connection.db.collection(`${this.name}.counters`)
+
+    return Promise.all(Array.from(keys.values(), (keyed) => {
+      return counters
+        .findOneAndUpdate(
+          { _id: { event: keyed[0].event, key: keyed[0]._key } },
+          { $inc: { seq: keyed.length } },
+          { upsert: true, returnDocument: 'after' }
+        )
+        .then((counter) => {
+          keyed.forEach((doc, i) => {
+            doc._seq = counter.seq - keyed.length + i + 1
+          })
+        })
+    }))
+  }
+
+  /**
+   * Ensure the unique index on the idempotency keys of the collection, once.
+   *
+   * @param {Collection} collection
+   * @return {Promise}
+   * @api private
+   */
+  ensureKeyIndex (collection) {
+    if (!this.keyIndex) {
+      this.keyIndex = collection
+        .createIndex(
+          { _idempotencyKey: 1 },
+          {
+            unique: true,
+            partialFilterExpression: { _idempotencyKey: { $exists: true } },
+            name: '_mubsub_idempotency_key'
+          }
+        )
+        .then(noop)
+      this.keyIndex.catch(() => {
+        this.keyIndex = null
+      })
+    }
+
+    return this.keyIndex
+  }
+
+  /**
+   * Set the schema messages of an event are validated with. Invalid messages
+   * are rejected by `publish` with a `ValidationError`, and received invalid
+   * messages are emitted as 'invalid' instead of being passed to the
+   * subscribers.
+   *
+   * @param {String} event
+   * @param {Object|Function|null} schema JSON Schema, or a function which
+   *   returns false or throws for invalid messages, null to remove the schema
    * @return {Channel} this
    * @api public
    */
-  publish (event, message, callback) {
-    callback || (callback = noop)
+  schema (event, schema) {
+    if (schema == null) {
+      delete this.schemas[event]
+      delete this.validators[event]
+    } else {
+      this.validators[event] = validation.compile(event, schema)
+      this.schemas[event] = schema
+    }
+
+    return this
+  }
+
+  /**
+   * Validate the message of a document against the schema of its event.
+   * Throws a `ValidationError` if the message is invalid.
+   *
+   * @param {Object} doc decoded document
+   * @return {Object} doc
+   * @api private
+   */
+  validate (doc) {
+    const validator = doc.event && this.validators[doc.event]
+    if (validator) {
+      validator(doc.message)
+    }
+
+    return doc
+  }
+
+  /**
+   * Validate and encode a document before it is inserted, and stamp the
+   * default headers of the connection onto it.
+   *
+   * @param {Object} doc document with `event` and `message`
+   * @return {Object} doc with the encoded message and `_ts`
+   * @api private
+   */
+  prepare (doc) {
+    this.validate(doc)
+
+    const defaults = this.connection.headers
+    if (defaults && Object.keys(defaults).length) {
+      doc._headers = Object.assign({}, defaults, doc._headers)
+    }
+
+    return Object.assign(doc, this.codec.encode(doc.message), { _ts: new Date() })
+  }
+
+  /**
+   * Insert a document into the channel collection once it is ready.
+   *
+   * @param {Object} doc document with `event` and `message`, the message is
+   *   encoded and `_ts` is added
+   * @param {Function} callback
+   * @return {Channel} this
+   * @api private
+   */
+  insert (doc, callback) {
+    const self = this
+
+    if (this.tracing) {
+      const span = this.tracing.send(doc)
+      const done = callback
+      callback = function (err, result) {
+        self.tracing.end(span, err)
+        done(err, result)
+      }
+    }
+    callback = this.track(callback)
 
     this.ready(function (collection) {
-      collection
-        .insertOne({ event, message, _ts: new Date() })
+      try {
+        self.prepare(doc)
+      } catch (err) {
+        return callback(err)
+      }
+
+      const keyed = doc._idempotencyKey != null
+
+      ;(keyed ? self.ensureKeyIndex(collection) : Promise.resolve())
+        .then(() => self.sequence(collection, [doc], true))
+        .then(() => collection.insertOne(doc))
         .then((result) => {
+          self.metrics.publish(doc.event)
           callback(null, { _id: result.insertedId })
+        }, (err) => {
+          if (!keyed || err.code !== 11000) {
+            return callback(err)
+          }
+
+          return collection
+            .findOne({ _idempotencyKey: doc._idempotencyKey }, { projection: { _id: 1 } })
+            .then((existing) => {
+              existing ? callback(null, { _id: existing._id, duplicate: true }) : callback(err)
+            })
         })
         .catch((err) => {
           callback(err)
         })
     })
 
-    return this
+    return this
+  }
+
+  /**
+   * Track a publish until its callback is called, so closing the channel can
+   * wait for it, and failing the channel can fail it.
+   *
+   * @param {Function} callback
+   * @return {Function} callback which ends the tracking
+   * @api private
+   */
+  track (callback) {
+    const self = this
+    let settle
+    let settled = false
+    const pending = new Promise((resolve) => {
+      settle = resolve
+    })
+    const done = function () {
+      if (settled) return
+      settled = true
+      self.publishing.delete(pending)
+      settle()
+      callback.apply(this, arguments)
+    }
+
+    pending.fail = (err) => done(err)
+    this.publishing.add(pending)
+    if (this.failure) {
+      process.nextTick(pending.fail, this.failure)
+    }
+
+    return done
+  }
+
+  /**
+   * Fail the channel once its connection gave up connecting. Rejects the
+   * promises of `ready()` and the pending publishes, and reports the error.
+   *
+   * @param {Error} err
+   * @api private
+   */
+  fail (err) {
+    if (this.listening || this.closing) return
+
+    this.failure = err
+    Array.from(this.publishing).forEach((pending) => pending.fail(err))
+    this.report(err)
+  }
+
+  /**
+   * Subscribe an event.
+   *
+   * @param {String|RegExp} [event] if no event passed - all events are subscribed.
+   *   Dot separated event names may use `*` to match one segment and `#` to
+   *   match zero or more segments. Pattern callbacks get the event name as
+   *   second argument.
+   * @param {Function} callback
+   * @param {Object} [options]
+   *   - `durableName` persist the position of the subscription under this name
+   *     and replay missed messages when subscribing again with the same name
+   *   - `startFrom` replay the stored messages from 'earliest', a Date or an
+   *     `_id` before switching to live delivery. Durable subscriptions start
+   *     there if no position is stored yet
+   *   - `filter` query on the message fields, f.e. `{ total: { $gt: 100 } }`,
+   *     only matching messages are passed to the callback
+   *   - `concurrency` wait for the Promises returned by the callback and handle
+   *     at most this amount of messages at once
+   *   - `maxPending` max amount of messages buffered for the callback, default is 100
+   *   - `overflow` when the buffer is full: block (pause the listener) |
+   *     dropOldest | error, default is block
+   *   - `retries` amount of retries if the callback throws or rejects, default is 0
+   *   - `retryDelay` time in ms before the first retry, doubled for every
+   *     further retry, default is 100ms
+   *   - `deadLetter` store messages the callback failed for in the
+   *     `<channel>.dlq` collection, default is false
+   *   - `dedupe` skip messages which were already processed, by idempotency
+   *     key or `_id`: true, or `{ store, window, group }`
+   *     - `store` memory | mongo (shared by a group in `<channel>.processed`), default is memory
+   *     - `window` time in ms processed messages are remembered, default is 600000ms
+   *     - `group` consumer group name, required for the mongo store
+   *   - `ordered` pass the messages published with a `key` in their sequence
+   *     of the event, early messages are held back until the missing ones
+   *     arrive, skipped sequence numbers are emitted as 'sequenceGap', not
+   *     supported with `filter`, default is false
+   *   - `reorderWindow` time in ms to wait for missing messages, default is 500ms
+   *   - `meta` pass the metadata of the message as last argument, see
+   *     `Channel#meta`, default is false
+   * @return {Object} unsubscribe function
+   * @api public
+   */
+  subscribe (event, callback, options) {
+    const self = this
+
+    if (typeof event === 'function') {
+      options = callback
+      callback = event
+      event = 'message'
+    }
+    options || (options = {})
+    this.checkOpen()
+    if (options.filter) query.validate(options.filter)
+
+    if (options.durableName || options.startFrom != null) {
+      const durable = new DurableSubscription(this, event, callback, options).start()
+
+      return {
+        unsubscribe: function () {
+          durable.unsubscribe()
+        }
+      }
+    }
+
+    const handler = this.createHandler(event, callback, options)
+    callback = handler.handle
+
+    const pattern = utils.eventPattern(event)
+    if (pattern || options.filter) {
+      const matcher = {
+        event: pattern ? null : event,
+        pattern,
+        filter: options.filter ? query.prefix(options.filter, 'message') : null,
+        callback
+      }
+      this.matchers.push(matcher)
+      this.refilter()
+
+      return {
+        unsubscribe: function () {
+          const index = self.matchers.indexOf(matcher)
+          if (index !== -1) {
+            self.matchers.splice(index, 1)
+            self.refilter()
+          }
+          handler.close()
+        }
+      }
+    }
+
+    // Removable by the callback of the subscription, like `once` listeners.
+    callback.listener = handler.callback
+    this.on(event, callback)
+
+    return {
+      unsubscribe: function () {
+        self.removeListener(event, callback)
+        handler.close()
+      }
+    }
+  }
+
+  /**
+   * Create the handler which runs a subscription callback. Its execution is
+   * only bounded if any of the backpressure options are set.
+   *
+   * @param {String|RegExp} event
+   * @param {Function} callback
+   * @param {Object} options subscription options
+   * @return {Handler}
+   * @api private
+   */
+  createHandler (event, callback, options) {
+    if (options.concurrency == null && options.maxPending == null && options.overflow == null) {
+      options = Object.assign({}, options, { concurrency: Infinity })
+    }
+
+    return new Handler(this, event, callback, options)
+  }
+
+  /**
+   * Emit an error of background work, f.e. a failed subscription callback.
+   * Nobody could catch it if it was thrown, so without 'error' listener it is
+   * emitted as a process warning instead.
+   *
+   * @param {Error} err
+   * @api private
+   */
+  report (err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err)
+    } else {
+      process.emitWarning(err)
+    }
+  }
+
+  /**
+   * Store documents a consumer failed for in the `<channel>.dlq` collection.
+   *
+   * @param {Array} docs
+   * @param {Error} err
+   * @param {Number} attempts
+   * @return {Promise}
+   * @api private
+   */
+  deadLetter (docs, err, attempts) {
+    const now = new Date()
+
+    return this.connection.db
+      .collection(`${this.name}.dlq`)
+      .insertMany(docs.map((doc) => ({
+        event: doc.event,
+        message: doc.message,
+        _ts: now,
+        source: doc._id,
+        attempts,
+        document: doc,
+        error: {
+          name: err && err.name,
+          message: err && err.message,
+          stack: err && err.stack
+        }
+      })))
+      .then(noop)
+  }
+
+  /**
+   * Pause the listener until every blocker has resumed it.
+   *
+   * @param {Object} blocker
+   * @return {Channel} this
+   * @api private
+   */
+  pause (blocker) {
+    this.blockers.add(blocker)
+
+    return this
+  }
+
+  /**
+   * Resume the listener once no blocker is left.
+   *
+   * @param {Object} blocker
+   * @return {Channel} this
+   * @api private
+   */
+  resume (blocker) {
+    this.blockers.delete(blocker)
+    if (!this.blockers.size) {
+      const resumers = Array.from(this.resumers)
+      this.resumers.clear()
+      resumers.forEach((fn) => fn())
+    }
+
+    return this
+  }
+
+  /**
+   * Get how many documents the listener may fetch at once, so the buffers of
+   * the subscriptions don't exceed their `maxPending`.
+   *
+   * @return {Number} at least 1, Infinity if no subscription is bounded
+   * @api private
+   */
+  room () {
+    let room = Infinity
+
+    this.consumers.forEach((consumer) => {
+      if (consumer.room) room = Math.min(room, consumer.room())
+    })
+
+    return Math.max(room, 1)
+  }
+
+  /**
+   * Check whether the listener may fetch more documents. If it is paused,
+   * the function is called again once it is resumed.
+   *
+   * @param {Function} fn
+   * @return {Boolean}
+   * @api private
+   */
+  flowing (fn) {
+    if (!this.blockers.size) return true
+
+    this.resumers.add(fn)
+    return false
+  }
+
+  /**
+   * Subscribe an event and receive its messages in arrays, as they are
+   * fetched from the collection (f.e. by a poll or from the tailable cursor's
+   * buffer).
+   *
+   * @param {String|RegExp} [event] if no event passed - all events are subscribed
+   * @param {Function} callback called with an array of messages. Pattern
+   *   callbacks get an array of the event names as second argument.
+   * @param {Object} [options]
+   *   - `filter` query on the message fields, only matching messages are passed
+   *   - `concurrency`, `maxPending`, `overflow`, `retries`, `retryDelay`,
+   *     `deadLetter`, `meta` see `Channel#subscribe`, the limits count arrays
+   *     and the metadata is an array
+   * @return {Object} unsubscribe function
+   * @api public
+   */
+  subscribeBatch (event, callback, options) {
+    const self = this
+
+    if (typeof event === 'function') {
+      options = callback
+      callback = event
+      event = 'message'
+    }
+    options || (options = {})
+    this.checkOpen()
+    if (options.filter) query.validate(options.filter)
+
+    const handler = this.createHandler(event, callback, options)
+    handler.batch = true
+    callback = handler.handle
+
+    const pattern = utils.eventPattern(event)
+    const matcher = {
+      event: pattern ? null : event,
+      pattern,
+      filter: options.filter ? query.prefix(options.filter, 'message') : null,
+      callback,
+      batch: true
+    }
+    this.matchers.push(matcher)
+    this.refilter()
+
+    return {
+      unsubscribe: function () {
+        const index = self.matchers.indexOf(matcher)
+        if (index !== -1) {
+          self.matchers.splice(index, 1)
+          self.refilter()
+        }
+        handler.close()
+      }
+    }
+  }
+
+  /**
+   * Consume an event as a work queue. Each message is handled by exactly one
+   * queue consumer across all processes and acknowledged once the handler
+   * (or its Promise) completes. Requires a polling or change stream channel.
+   *
+   * @param {String} [event] if no event passed - all events are consumed.
+   * @param {Function} handler
+   * @param {Object} [options]
+   *   - `concurrency` max amount of messages handled at once, default is 1
+   *   - `visibilityTimeout` time in ms before an unacknowledged message is redelivered, default is 30000ms
+   *   - `maxAttempts` failed attempts before a message is moved to `<channel>.dlq`, default is 5
+   *   - `retryDelay` time in ms before a failed message is redelivered, default is 0
+   * @return {Object} unsubscribe function
+   * @api public
+   */
+  queue (event, handler, options) {
+    if (typeof event === 'function') {
+      options = handler
+      handler = event
+      event = 'message'
+    }
+    this.checkOpen()
+
+    const consumer = new QueueConsumer(this, event, handler, options).start()
+
+    return {
+      unsubscribe: function () {
+        consumer.unsubscribe()
+      }
+    }
+  }
+
+  /**
+   * Publish a request and wait for the reply of a responder.
+   *
+   * @param {String} event
+   * @param {Object} [message]
+   * @param {Object} [options]
+   *   - `timeout` time in ms to wait for the reply, default is 10000ms
+   *   - `signal` AbortSignal which rejects the request with an AbortError
+   * @return {Promise} Promise of the reply message
+   * @api public
+   */
+  request (event, message, options) {
+    try {
+      this.checkOpen()
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    this.requester || (this.requester = new rpc.Requester(this))
+
+    return this.requester.request(event, message, options || {})
+  }
+
+  /**
+   * Answer requests of an event. The handler's return value (or resolved
+   * value) is published as the reply, a thrown or rejected error rejects the
+   * request.
+   *
+   * @param {String} event
+   * @param {Function} handler
+   * @return {Object} unsubscribe function
+   * @api public
+   */
+  respond (event, handler) {
+    this.checkOpen()
+    const responder = new rpc.Responder(this, event, handler).start()
+
+    return {
+      unsubscribe: function () {
+        responder.unsubscribe()
+      }
+    }
+  }
+
+  /**
+   * Iterate over the messages of an event, for use with `for await`.
+   * Messages are buffered until they are consumed. The subscription is removed
+   * when the loop exits (`break`, `return` or `throw`) or the signal aborts.
+   * The iteration ends once the channel is closed.
+   *
+   * @param {String|RegExp} [event] if no event passed - all events are iterated.
+   * @param {Object} [options]
+   *   - `signal` AbortSignal which ends the iteration with an AbortError
+   * @return {AsyncIterator}
+   * @api public
+   */
+  iterate (event, options) {
+    if (event && typeof event === 'object') {
+      options = event
+      event = null
+    }
+    event || (event = 'message')
+    options || (options = {})
+
+    const self = this
+    const signal = options.signal
+    const buffer = []
+    const pending = []
+    let finished = false
+    let error = null
+
+    const subscription = this.subscribe(event, function (message) {
+      if (pending.length) {
+        pending.shift().resolve({ value: message, done: false })
+      } else {
+        buffer.push(message)
+      }
+    })
+
+    function onAbort () {
+      finish(utils.abortError(signal))
+    }
+
+    function onClose () {
+      finish()
+    }
+
+    function finish (err) {
+      if (finished) return
+      finished = true
+      subscription.unsubscribe()
+      self.removeListener('close', onClose)
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      if (err) {
+        buffer.length = 0
+        error = err
+      }
+      pending.splice(0).forEach(function (waiter) {
+        if (error) {
+          waiter.reject(error)
+          error = null
+        } else {
+          waiter.resolve({ value: undefined, done: true })
+        }
+      })
+    }
+
+    this.once('close', onClose)
+    if (signal) {
+      signal.aborted
+        ? onAbort()
+        : signal.addEventListener('abort', onAbort, { once: true })
+    }
+
+    return {
+      next () {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift(), done: false })
+        }
+        if (error) {
+          const err = error
+          error = null
+          return Promise.reject(err)
+        }
+        if (finished) {
+          return Promise.resolve({ value: undefined, done: true })
+        }
+
+        return new Promise(function (resolve, reject) {
+          pending.push({ resolve, reject })
+        })
+      },
+      return () {
+        finish()
+        buffer.length = 0
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      throw (err) {
+        finish()
+        buffer.length = 0
+        return Promise.reject(err)
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+
+  /**
+   * Replay the stored messages in `_id` order. Messages which are not due
+   * yet, expired or invalid are skipped. The handler may return a Promise,
+   * the next message is replayed once it is resolved.
+   *
+   * @param {Object} [options]
+   *   - `from` 'earliest', or the Date or `_id` to start at, default is 'earliest'
+   *   - `to` Date or `_id` to stop at (inclusive), default is the newest message
+   *   - `events` array of event names or patterns, default is all events
+   * @param {Function} handler called with the message and the event name
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of the amount of replayed
+   *   messages if no callback passed
+   * @api public
+   */
+  replay (options, handler, callback) {
+    if (typeof options === 'function') {
+      callback = handler
+      handler = options
+      options = {}
+    }
+    options || (options = {})
+
+    const self = this
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    let criteria
+
+    try {
+      criteria = { $and: [query.range(options.from, options.to), query.due()] }
+    } catch (err) {
+      process.nextTick(done, err)
+      return promise || this
+    }
+
+    criteria.$and.push(options.events && options.events.length
+      ? { $or: options.events.map(query.forEvent) }
+      : query.forEvent('message'))
+
+    this.ready(function (collection) {
+      const cursor = collection.find(criteria).sort({ _id: 1 })
+      let count = 0
+
+      function next () {
+        return cursor.next().then((doc) => {
+          if (!doc || self.closed) return count
+          if (!self.receive(doc)) return next()
+
+          count++
+          return Promise.resolve(handler.call(self, doc.message, doc.event)).then(next)
+        })
+      }
+
+      next()
+        .then((count) => {
+          cursor.close().catch(noop)
+          done(null, count)
+        }, (err) => {
+          cursor.close().catch(noop)
+          done(err)
+        })
+    })
+
+    return promise || this
+  }
+
+  /**
+   * Get the metrics and health of the channel.
+   *
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of the stats if no callback passed
+   *   - `channel` name of the channel
+   *   - `mode` configured transport mode
+   *   - `transport` transport in use: capped | changestream | polling, null until known
+   *   - `lastDelivered` `{ _id, ts }` of the last document received by the listener
+   *   - `newest` `{ _id, ts }` of the newest document in the collection
+   *   - `lag` time in ms between the last delivered and the newest document
+   *   - `received` messages received per event
+   *   - `published` messages published per event
+   *   - `latency` histogram of the callback times in ms per subscribed event,
+   *     `{ buckets, sum, count }`
+   *   - `recreations` amount of broken cursors or change streams recreated
+   *   - `fallbacks` amount of fallbacks to another transport
+   * @api public
+   */
+  stats (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    const stats = Object.assign(
+      { channel: this.name, mode: this.options.mode, transport: this.transport },
+      this.metrics.snapshot(),
+      { newest: null, lag: 0 }
+    )
+
+    if (!this.listening) {
+      process.nextTick(done, null, stats)
+      return promise || this
+    }
+
+    this.listening
+      .findOne({}, { sort: { _id: -1 }, projection: { _id: 1, _ts: 1 } })
+      .then((newest) => {
+        if (newest) {
+          stats.newest = { _id: newest._id, ts: metrics.timestamp(newest) }
+        }
+
+        const last = stats.lastDelivered
+        if (last && last.ts && stats.newest && stats.newest.ts && String(newest._id) > String(last._id)) {
+          stats.lag = Math.max(0, stats.newest.ts.getTime() - last.ts.getTime())
+        }
+
+        done(null, stats)
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Get the live members of the channel, the processes which registered with
+   * the `presence` option, in the order they started.
+   *
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of the members if no callback passed
+   *   - `_id` id of the member
+   *   - `host` and `pid` of the process
+   *   - `events` subscribed events and patterns
+   *   - `transport` transport in use
+   *   - `lastDelivered` `_id` of the last document received by the listener
+   *   - `startedAt`, `updatedAt` time of the first and the last heartbeat
+   *   - `expireAt` time the member leaves without a further heartbeat
+   * @api public
+   */
+  presence (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    presence.members(this)
+      .then((members) => {
+        done(null, members)
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Get the events and patterns subscribed in this process.
+   *
+   * @return {Array}
+   * @api private
+   */
+  subscribed () {
+    const events = new Set()
+
+    this.consumers.forEach((consumer) => {
+      events.add(String(consumer.event))
+    })
+    this.eventNames().forEach((event) => {
+      if (typeof event === 'string' && !CHANNEL_EVENTS.includes(event)) events.add(event)
+    })
+
+    return Array.from(events)
+  }
+
+  /**
+   * Replace the listener with a new one which continues after the last
+   * document the channel received (change streams resume from their resume
+   * token), f.e. once the connection recovered.
+   *
+   * @return {Channel} this
+   * @api private
+   */
+  restore () {
+    if (this.closed || this.connection.destroyed) return this
+
+    this.listener++
+    if (this.stop) {
+      this.stop()
+      this.stop = null
+    }
+    this.rebuild = null
+    this.listening = null
+    this.collection = null
+
+    const latest = this.position || undefined
+    const mode = this.options.mode
+
+    if (mode === 'polling' || this.transport === 'polling') {
+      return this.createPolling().startPollingListener(latest)
+    }
+
+    if (mode === 'changestream' || this.transport === 'changestream') {
+      return this.createPolling('changestream').startChangeStreamListener(latest, mode === 'auto')
+    }
+
+    return this.createCapped().startTailableListener(latest, mode === 'auto')
+  }
+
+  /**
+   * Initialize transport for the channel.
+   *
+   * @return {Channel} this
+   * @api private
+   */
+  initializeTransport () {
+    const mode = this.options.mode
+
+    if (mode === 'polling') {
+      return this.createPolling().startPollingListener()
+    }
+
+    if (mode === 'capped') {
+      return this.createCapped().startTailableListener()
+    }
+
+    if (mode === 'changestream') {
+      return this.createPolling('changestream').startChangeStreamListener()
+    }
+
+    this.createCapped().startTailableListener(undefined, true)
+
+    return this
+  }
+
+  /**
+   * Create a channel collection.
+   *
+   * @return {Channel} this
+   * @api private
+   */
+  createCapped () {
+    const self = this
+
+    function create () {
+      self.connection.db
+        .createCollection(self.name, Object.assign({}, self.collectionOpts, self.validatorOpts()))
+        .then((collection) => {
+          self.collection = collection
+          self.transport = 'capped'
+          self.emit('collection', self.collection)
+        })
+        .catch((err) => {
+          const collectionExistsError =
+            err &&
+            (err.codeName === 'NamespaceExists' ||
+              err.message === 'collection already exists' ||
+              err.message.toLowerCase().includes('collection already exists') ||
+              err.message.match(/^a collection.+already exists$/) ||
+              err.message.match(/^Collection.+already exists\.$/))
+          if (collectionExistsError) {
+            const collection = self.connection.db.collection(self.name)
+            collection.isCapped().then((capped) => {
+              if (!capped) {
+                if (self.options.mode === 'auto') {
+                  self.collection = collection
+                  self.transport = 'changestream'
+                  self.emit('collection', self.collection)
+                } else {
+                  self.emit('error', new Error(`${err.message}, but it's NOT capped.`))
+                }
+              } else {
+                self.collection = collection
+                self.transport = 'capped'
+                self.emit('collection', self.collection)
+              }
+            })
+          } else if (err) {
+            if (self.options.mode === 'auto' && self.isCappedUnsupportedError(err)) {
+              self.metrics.fallbacks++
+              self.createPolling('changestream')
+            } else {
+              self.emit('error', err)
+            }
+          }
+        })
+    }
+
+    this.connection.db ? create() : this.connection.once('connect', create)
+
+    return this
+  }
+
+  /**
+   * Create or open a normal (not capped) channel collection, used by the
+   * polling and change stream transports.
+   *
+   * @param {String} [transport] polling | changestream, default is polling
+   * @return {Channel} this
+   * @api private
+   */
+  createPolling (transport) {
+    const self = this
+
+    transport || (transport = 'polling')
+
+    function openCollection () {
+      self.connection.db
+        .createCollection(self.name, self.validatorOpts())
+        .then((collection) => {
+          self.collection = collection
+          self.transport = transport
+          self.ensureIndexes(collection)
+            .then(() => {
+              self.emit('collection', self.collection)
+            })
+            .catch((err) => {
+              self.emit('error', err)
+            })
+        })
+        .catch((err) => {
+          const collectionExistsError =
+            err &&
+            (err.codeName === 'NamespaceExists' ||
+              err.message === 'collection already exists' ||
+              err.message.toLowerCase().includes('collection already exists') ||
+              err.message.match(/^a collection.+already exists$/) ||
+              err.message.match(/^Collection.+already exists\.$/))
+
+          if (collectionExistsError) {
+            const collection = self.connection.db.collection(self.name)
+            self.collection = collection
+            self.transport = transport
+            self.ensureIndexes(collection)
+              .then(() => {
+                self.emit('collection', self.collection)
+              })
+              .catch((ttlErr) => {
+                self.emit('error', ttlErr)
+              })
+          } else if (err) {
+            self.emit('error', err)
+          }
+        })
+    }
+
+    this.connection.db ? openCollection() : this.connection.once('connect', openCollection)
+
+    return this
+  }
+
+  /**
+   * Collection options which install the JSON Schemas of the channel as
+   * `$jsonSchema` validator, if the `validator` option is enabled.
+   *
+   * @return {Object}
+   * @api private
+   */
+  validatorOpts () {
+    const validator = this.options.validator && validation.collectionValidator(this.schemas)
+
+    return validator ? { validator, validationAction: 'error' } : {}
+  }
+
+  /**
+   * Ensure the indexes of a polling/change stream collection.
+   *
+   * @param {Collection} collection
+   * @return {Promise<void>}
+   * @api private
+   */
+  ensureIndexes (collection) {
+    return Promise.all([
+      this.ensurePollingTtlIndex(collection),
+      collection.createIndex({ _deliverAt: 1 }, { sparse: true, name: '_mubsub_deliver_at' }),
+      collection.createIndex({ _expireAt: 1 }, { expireAfterSeconds: 0, name: '_mubsub_expire_at' })
+    ]).then(() => {})
+  }
+
+  /**
+   * Ensure polling/change stream collection has TTL index if configured.
+   *
+   * @param {Collection} collection
+   * @return {Promise<void>}
+   * @api private
+   */
+  ensurePollingTtlIndex (collection) {
+    const pollTtlSeconds = this.options.pollTtlSeconds
+
+    if (!pollTtlSeconds || pollTtlSeconds <= 0) {
+      return Promise.resolve()
+    }
+
+    return collection
+      .createIndex({ _ts: 1 }, { expireAfterSeconds: pollTtlSeconds, name: '_mubsub_poll_ttl' })
+      .then(() => {})
+  }
+
+  /**
+   * Determine whether current error implies capped/tailable unsupported.
+   *
+   * @param {Error} err
+   * @return {Boolean}
+   * @api private
+   */
+  isCappedUnsupportedError (err) {
+    if (!err) return false
+    const message = `${err.message || ''}`.toLowerCase()
+    const codeName = `${err.codeName || ''}`.toLowerCase()
+
+    return (
+      message.includes('not capped') ||
+      message.includes('capped') ||
+      message.includes('tailable') ||
+      message.includes('special') ||
+      message.includes('unsupported') ||
+      codeName.includes('commandnotsupported') ||
+      codeName.includes('illegaloperation')
+    )
+  }
+
+  /**
+   * Determine whether current error implies change streams are unavailable,
+   * f.e. on a standalone server or a backend without change stream support.
+   *
+   * @param {Error} err
+   * @return {Boolean}
+   * @api private
+   */
+  isChangeStreamUnsupportedError (err) {
+    if (!err) return false
+    const message = `${err.message || ''}`.toLowerCase()
+    const codeName = `${err.codeName || ''}`.toLowerCase()
+
+    return (
+      err.code === 40573 ||
+      message.includes('replica set') ||
+      message.includes('not supported') ||
+      message.includes('not enabled') ||
+      message.includes('unsupported') ||
+      codeName.includes('commandnotsupported') ||
+      codeName.includes('location40573')
+    )
+  }
+
+  /**
+   * Determine whether the stored resume token can no longer be used.
+   *
+   * @param {Error} err
+   * @return {Boolean}
+   * @api private
+   */
+  isChangeStreamHistoryLostError (err) {
+    if (!err) return false
+
+    return (
+      err.code === 286 ||
+      err.code === 280 ||
+      err.codeName === 'ChangeStreamHistoryLost' ||
+      err.codeName === 'ChangeStreamFatalError'
+    )
+  }
+
+  /**
+   * Get the metadata of a received document.
+   *
+   * @param {Object} doc
+   * @return {Object} `{ _id, _ts, event, headers, transport }`
+   * @api private
+   */
+  meta (doc) {
+    return {
+      _id: doc._id,
+      _ts: doc._ts,
+      event: doc.event,
+      headers: doc._headers || {},
+      transport: this.transport
+    }
+  }
+
+  /**
+   * Emit a document to the subscribers.
+   *
+   * @param {Object} doc
+   * @return {Channel} this
+   * @api private
+   */
+  dispatch (doc) {
+    return this.dispatchMany([doc])
+  }
+
+  /**
+   * Emit documents fetched together to the subscribers, one by one, and to
+   * the batch subscribers as arrays.
+   *
+   * @param {Array} docs
+   * @return {Channel} this
+   * @api private
+   */
+  dispatchMany (docs) {
+    const batches = this.matchers.filter((matcher) => matcher.batch).map((matcher) => {
+      return { matcher, docs: [] }
+    })
+
+    docs.forEach((doc) => {
+      if (this.scheduler.defer(doc) || !this.receive(doc)) {
+        return
+      }
+      this.metrics.receive(doc)
+
+      // Plain listeners run in the context the document was published in.
+      const deliver = () => {
+        this.current = doc
+        if (doc.event) {
+          this.emit(doc.event, doc.message)
+          this.matchers.slice().forEach((matcher) => {
+            if (!matcher.batch && this.isMatch(matcher, doc)) {
+              matcher.pattern
+                ? matcher.callback.call(this, doc.message, doc.event)
+                : matcher.callback.call(this, doc.message)
+            }
+          })
+          if (!utils.isReserved(doc.event)) this.emit('message', doc.message)
+
+          batches.forEach((batch) => {
+            if (this.isMatch(batch.matcher, doc)) batch.docs.push(doc)
+          })
+        }
+
+        this.emit('document', doc)
+        this.current = null
+      }
+      this.tracing ? this.tracing.restore(doc, deliver) : deliver()
+    })
+
+    batches.forEach(({ matcher, docs }) => {
+      if (!docs.length || !this.matchers.includes(matcher)) return
+
+      const messages = docs.map((doc) => doc.message)
+      this.current = docs
+      matcher.pattern
+        ? matcher.callback.call(this, messages, docs.map((doc) => doc.event))
+        : matcher.callback.call(this, messages)
+      this.current = null
+    })
+
+    return this
+  }
+
+  /**
+   * Decode and validate a received document. Expired documents are
+   * skipped. Emits 'error' if it can't be decoded and 'invalid' if its
+   * message doesn't match the schema, the offending document is set as
+   * `err.document`.
+   *
+   * @param {Object} doc
+   * @return {Boolean} whether the document can be delivered
+   * @api private
+   */
+  receive (doc) {
+    if (doc._expireAt && doc._expireAt.getTime() <= Date.now()) {
+      return false
+    }
+
+    try {
+      this.decode(doc)
+    } catch (err) {
+      err.document = doc
+      this.emit('error', err)
+      return false
+    }
+
+    try {
+      this.validate(doc)
+    } catch (err) {
+      err.document = doc
+      this.emit('invalid', err)
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Decode the message of a stored document in place. Throws if the
+   * document's codec or compression is unknown.
+   *
+   * @param {Object} doc
+   * @return {Object} doc
+   * @api private
+   */
+  decode (doc) {
+    if (doc._codec) {
+      doc.message = this.codec.decode(doc)
+      delete doc._codec
+      delete doc._compression
+    }
+
+    return doc
+  }
+
+  /**
+   * Check whether a document is for a pattern or filtered subscription.
+   *
+   * @param {Object} matcher
+   * @param {Object} doc
+   * @return {Boolean}
+   * @api private
+   */
+  isMatch (matcher, doc) {
+    if (matcher.event !== doc.event && utils.isReserved(doc.event)) {
+      return false
+    }
+    if (matcher.pattern) {
+      if (!matcher.pattern.test(doc.event)) return false
+    } else if (matcher.event !== 'message' && matcher.event !== doc.event) {
+      return false
+    }
+
+    return !matcher.filter || query.matches(doc, matcher.filter)
   }
 
   /**
-   * Subscribe an event.
+   * Register the documents an internal consumer needs, so they are fetched
+   * when the `filter` option is enabled.
    *
-   * @param {String} [event] if no event passed - all events are subscribed.
-   * @param {Function} callback
-   * @return {Object} unsubscribe function
-   * @api public
+   * @param {Object} selector query on the document
+   * @return {Function} function which removes the selector again
+   * @api private
    */
-  subscribe (event, callback) {
+  select (selector) {
     const self = this
 
-    if (typeof event === 'function') {
-      callback = event
-      event = 'message'
-    }
-
-    this.on(event, callback)
+    this.selectors.push(selector)
+    this.refilter()
 
-    return {
-      unsubscribe: function () {
-        self.removeListener(event, callback)
+    return function () {
+      const index = self.selectors.indexOf(selector)
+      if (index !== -1) {
+        self.selectors.splice(index, 1)
+        self.refilter()
       }
     }
   }
 
   /**
-   * Initialize transport for the channel.
+   * Build the query for the documents of all current subscriptions. Returns
+   * an empty query (all documents) unless the `filter` option is enabled.
    *
-   * @return {Channel} this
+   * @return {Object}
    * @api private
    */
-  initializeTransport () {
-    const mode = this.options.mode
+  buildSelector () {
+    if (!this.options.filter || this.listenerCount('message')) {
+      return {}
+    }
 
-    if (mode === 'polling') {
-      return this.createPolling().startPollingListener()
+    const branches = []
+    const events = this.eventNames().filter((event) => {
+      return typeof event === 'string' && !CHANNEL_EVENTS.includes(event)
+    })
+
+    if (events.length) {
+      branches.push({ event: { $in: events } })
     }
 
-    if (mode === 'capped') {
-      return this.createCapped().startTailableListener()
+    for (const matcher of this.matchers) {
+      let branch = matcher.pattern ? { event: matcher.pattern } : {}
+      if (!matcher.pattern && matcher.event !== 'message') {
+        branch = { event: matcher.event }
+      }
+      if (matcher.filter) {
+        // Encoded messages can only be matched once they are decoded.
+        const filter = { $or: [matcher.filter, { _codec: { $exists: true } }] }
+        branch = Object.keys(branch).length
+          ? { $and: [branch, filter] }
+          : filter
+      }
+      if (!Object.keys(branch).length) {
+        return {}
+      }
+      branches.push(branch)
     }
 
-    this.createCapped().startTailableListener(undefined, true)
+    branches.push(...this.selectors)
 
-    return this
+    if (!branches.length) {
+      return { event: { $in: [] } }
+    }
+
+    return branches.length === 1 ? branches[0] : { $or: branches }
   }
 
   /**
-   * Create a channel collection.
+   * Restrict a listener query to the current selector.
    *
-   * @return {Channel} this
+   * @param {Object} criteria
+   * @return {Object}
    * @api private
    */
-  createCapped () {
-    const self = this
-
-    function create () {
-      self.connection.db
-        .createCollection(self.name, self.collectionOpts)
-        .then((collection) => {
-          self.collection = collection
-          self.transport = 'capped'
-          self.emit('collection', self.collection)
-        })
-        .catch((err) => {
-          const collectionExistsError =
-            err &&
-            (err.codeName === 'NamespaceExists' ||
-              err.message === 'collection already exists' ||
-              err.message.toLowerCase().includes('collection already exists') ||
-              err.message.match(/^a collection.+already exists$/) ||
-              err.message.match(/^Collection.+already exists\.$/))
-          if (collectionExistsError) {
-            const collection = self.connection.db.collection(self.name)
-            collection.isCapped().then((capped) => {
-              if (!capped) {
-                if (self.options.mode === 'auto') {
-                  self.collection = collection
-                  self.transport = 'polling'
-                  self.emit('collection', self.collection)
-                } else {
-                  self.emit('error', new Error(`${err.message}, but it's NOT capped.`))
-                }
-              } else {
-                self.collection = collection
-                self.transport = 'capped'
-                self.emit('collection', self.collection)
-              }
-            })
-          } else if (err) {
-            if (self.options.mode === 'auto' && self.isCappedUnsupportedError(err)) {
-              self.createPolling()
-            } else {
-              self.emit('error', err)
-            }
-          }
-        })
-    }
-
-    this.connection.db ? create() : this.connection.once('connect', create)
-
-    return this
+  withSelector (criteria) {
+    return Object.keys(this.selector).length
+      ? { $and: [criteria, this.selector] }
+      : criteria
   }
 
   /**
-   * Create or open a polling channel collection.
+   * Rebuild the listener once the subscriptions have changed, if the `filter`
+   * option is enabled and the selector is different now.
    *
    * @return {Channel} this
    * @api private
    */
-  createPolling () {
+  refilter () {
     const self = this
 
-    function openCollection () {
-      self.connection.db
-        .createCollection(self.name)
-        .then((collection) => {
-          self.collection = collection
-          self.transport = 'polling'
-          self.ensurePollingTtlIndex(collection)
-            .then(() => {
-              self.emit('collection', self.collection)
-            })
-            .catch((err) => {
-              self.emit('error', err)
-            })
-        })
-        .catch((err) => {
-          const collectionExistsError =
-            err &&
-            (err.codeName === 'NamespaceExists' ||
-              err.message === 'collection already exists' ||
-              err.message.toLowerCase().includes('collection already exists') ||
-              err.message.match(/^a collection.+already exists$/) ||
-              err.message.match(/^Collection.+already exists\.$/))
-
-          if (collectionExistsError) {
-            const collection = self.connection.db.collection(self.name)
-            self.collection = collection
-            self.transport = 'polling'
-            self.ensurePollingTtlIndex(collection)
-              .then(() => {
-                self.emit('collection', self.collection)
-              })
-              .catch((ttlErr) => {
-                self.emit('error', ttlErr)
-              })
-          } else if (err) {
-            self.emit('error', err)
-          }
-        })
+    if (!this.options.filter || this.refiltering) {
+      return this
     }
 
-    this.connection.db ? openCollection() : this.connection.once('connect', openCollection)
+    this.refiltering = true
+    process.nextTick(function () {
+      self.refiltering = false
+      if (self.rebuilding || !self.rebuild || self.closed || self.connection.destroyed) {
+        return
+      }
+
+      const previous = self.selector
+      if (query.equals(previous, self.buildSelector())) {
+        return
+      }
+
+      self.rebuilding = true
+      self.rebuild(previous, function () {
+        self.rebuilding = false
+        self.refilter()
+      })
+    })
 
     return this
   }
 
   /**
-   * Ensure polling collection has TTL index if configured.
+   * Deliver the documents matching the previous selector which were published
+   * before the rebuild, and skip everything else up to the newest document.
+   * That way no document is lost for existing subscriptions and new
+   * subscriptions don't get old documents.
    *
    * @param {Collection} collection
-   * @return {Promise<void>}
+   * @param {Object} latest latest delivered document
+   * @param {Object} previous selector of the previous listener
+   * @param {Function} callback called with the position to continue from
    * @api private
    */
-  ensurePollingTtlIndex (collection) {
-    const pollTtlSeconds = this.options.pollTtlSeconds
+  catchUp (collection, latest, previous, callback) {
+    const self = this
 
-    if (!pollTtlSeconds || pollTtlSeconds <= 0) {
-      return Promise.resolve()
-    }
+    collection
+      .findOne({}, { sort: { _id: -1 }, projection: { _id: 1 } })
+      .then((newest) => {
+        if (!newest || (latest && String(newest._id) <= String(latest._id))) {
+          return latest
+        }
 
-    return collection
-      .createIndex({ _ts: 1 }, { expireAfterSeconds: pollTtlSeconds, name: '_mubsub_poll_ttl' })
-      .then(() => {})
-  }
+        const criteria = { _id: { $lte: newest._id } }
+        if (latest && latest._id) {
+          criteria._id.$gt = latest._id
+        }
 
-  /**
-   * Determine whether current error implies capped/tailable unsupported.
-   *
-   * @param {Error} err
-   * @return {Boolean}
-   * @api private
-   */
-  isCappedUnsupportedError (err) {
-    if (!err) return false
-    const message = `${err.message || ''}`.toLowerCase()
-    const codeName = `${err.codeName || ''}`.toLowerCase()
+        return collection
+          .find(Object.keys(previous).length ? { $and: [criteria, previous] } : criteria)
+          .sort({ _id: 1 })
+          .toArray()
+          .then((docs) => {
+            docs.forEach((doc) => {
+              if (!self.closed && !self.connection.destroyed) {
+                self.dispatch(doc)
+              }
+            })
 
-    return (
-      message.includes('not capped') ||
-      message.includes('capped') ||
-      message.includes('tailable') ||
-      message.includes('special') ||
-      message.includes('unsupported') ||
-      codeName.includes('commandnotsupported') ||
-      codeName.includes('illegaloperation')
-    )
+            return newest
+          })
+      })
+      .catch((err) => {
+        self.emit('error', err)
+        return latest
+      })
+      .then(callback)
   }
 
   /**
@@ -313,22 +2040,41 @@ class Channel extends EventEmitter {
           return
         }
 
-        const cursor = collection.find(
-          { _id: { $gt: latest._id } },
-          {
+        if (self.transport === 'changestream') {
+          self.startChangeStreamListener(latest, allowFallback)
+          return
+        }
+
+        let cursor = null
+        let stopped = false
+
+        const open = function () {
+          const room = self.room()
+          const options = {
             tailable: true,
             awaitData: true,
             timeout: false,
             maxAwaitTimeMS: self.options.retryInterval
           }
-        ).hint({ $natural: 1 })
+          if (room < Infinity) options.batchSize = room
+
+          self.selector = self.buildSelector()
+          cursor = collection.find(
+            self.withSelector({ _id: { $gt: latest._id } }),
+            options
+          ).hint({ $natural: 1 })
+          more()
+        }
+
         const next = self.handle(function (doc) {
           // There is no document only if the cursor is closed by accident.
           // F.e. if collection was dropped or connection died.
           if (!doc) {
             return setTimeout(function () {
+              if (stopped) return
               self.emit('error', new Error('Mubsub: broken cursor.'))
               if (self.options.recreate) {
+                self.metrics.recreations++
                 if (self.options.mode === 'polling') {
                   self.createPolling().startPollingListener(latest)
                 } else if (self.options.mode === 'auto') {
@@ -339,30 +2085,52 @@ class Channel extends EventEmitter {
               }
             }, 1000)
           }
-          latest = doc
-          if (doc.event) {
-            self.emit(doc.event, doc.message)
-            self.emit('message', doc.message)
-          }
-
-          self.emit('document', doc)
+          // Hand out as much as the cursor has buffered and the subscriptions
+          // have room for at once.
+          const docs = [doc].concat(cursor.readBufferedDocuments(self.room() - 1))
+          latest = self.position = docs[docs.length - 1]
+          self.dispatchMany(docs)
           process.nextTick(more)
         })
 
         const more = function () {
-          cursor
+          // Results of a cursor which was closed by a rebuild are dropped.
+          const current = cursor
+          if (!current || !self.flowing(more)) return
+          current
             .next()
-            .then((doc) => next(undefined, doc))
-            .catch((err) => next(err))
+            .then((doc) => current === cursor && next(undefined, doc))
+            .catch((err) => current === cursor && next(err))
+        }
+
+        self.rebuild = function (previous, done) {
+          const current = cursor
+          cursor = null
+          current && current.close().catch(noop)
+          self.catchUp(collection, latest, previous, function (position) {
+            latest = self.position = position
+            open()
+            done()
+          })
+        }
+
+        self.stop = function () {
+          const current = cursor
+          stopped = true
+          cursor = null
+          current && current.close().catch(noop)
         }
 
-        more()
+        self.position = latest
+        open()
+        self.scheduler.load(collection, latest)
         self.listening = collection
         self.emit('ready', collection)
       }, function (err) {
         if (allowFallback && self.options.mode === 'auto' && self.isCappedUnsupportedError(err)) {
+          self.metrics.fallbacks++
           self.collection = null
-          self.createPolling().startPollingListener(latest)
+          self.createPolling('changestream').startChangeStreamListener(latest, true)
           return true
         }
 
@@ -373,6 +2141,141 @@ class Channel extends EventEmitter {
     return this
   }
 
+  /**
+   * Start change stream listener mode. Watches inserts on a normal collection
+   * and resumes from the last seen resume token when the stream is recreated.
+   *
+   * @param {Object} [latest] latest document, used when falling back to polling
+   * @param {Boolean} [allowFallback] whether to fallback to polling on unsupported change streams
+   * @return {Channel} this
+   * @api private
+   */
+  startChangeStreamListener (latest, allowFallback) {
+    const self = this
+
+    this.latest(
+      latest,
+      { insertDummy: false },
+      this.handle(true, function (latest, collection) {
+        let ready = false
+        let stopped = false
+
+        const open = function () {
+          const options = { maxAwaitTimeMS: self.options.retryInterval }
+          if (self.resumeToken) {
+            options.startAfter = self.resumeToken
+          }
+
+          self.selector = self.buildSelector()
+          const match = Object.assign(
+            { operationType: 'insert' },
+            query.prefix(self.selector, 'fullDocument')
+          )
+          const stream = collection.watch([{ $match: match }], options)
+          self.changeStream = stream
+
+          const broken = function (err) {
+            stream.close().catch(noop)
+            if (self.changeStream !== stream) {
+              return
+            }
+            self.changeStream = null
+            if (self.closed || self.connection.destroyed) {
+              return
+            }
+
+            if (allowFallback && self.options.mode === 'auto' && self.isChangeStreamUnsupportedError(err)) {
+              self.metrics.fallbacks++
+              self.transport = 'polling'
+              self.startPollingListener(latest)
+              return
+            }
+
+            if (self.isChangeStreamHistoryLostError(err)) {
+              self.resumeToken = null
+            }
+
+            setTimeout(function () {
+              if (stopped) return
+              self.emit('error', err || new Error('Mubsub: broken change stream.'))
+              if (self.options.recreate) {
+                self.metrics.recreations++
+                self.createPolling('changestream').startChangeStreamListener(latest, allowFallback)
+              }
+            }, 1000)
+          }
+
+          const next = function (change) {
+            if (self.closed || self.connection.destroyed || self.changeStream !== stream) {
+              return
+            }
+
+            self.resumeToken = stream.resumeToken || (change && change._id) || self.resumeToken
+            if (change && change.fullDocument) {
+              latest = self.position = change.fullDocument
+              self.dispatch(change.fullDocument)
+            }
+            process.nextTick(more)
+          }
+
+          const more = function () {
+            if (self.closed || self.connection.destroyed || self.changeStream !== stream) {
+              return
+            }
+            if (!self.flowing(more)) return
+
+            stream
+              .next()
+              .then(next)
+              .catch(broken)
+          }
+
+          // Run the first round trip before emitting 'ready', so the stream is
+          // already open on the server when publishers are released.
+          stream
+            .tryNext()
+            .then((change) => {
+              if (self.closed || self.connection.destroyed || self.changeStream !== stream) {
+                return
+              }
+
+              if (!ready) {
+                ready = true
+                self.scheduler.load(collection)
+                self.transport = 'changestream'
+                self.listening = collection
+                self.emit('ready', collection)
+              }
+              next(change)
+            })
+            .catch(broken)
+        }
+
+        // The stream resumes right where the previous one stopped, so there
+        // is nothing to catch up.
+        self.rebuild = function (previous, done) {
+          const current = self.changeStream
+          self.changeStream = null
+          if (current) current.close().catch(noop)
+          open()
+          done()
+        }
+
+        self.stop = function () {
+          const current = self.changeStream
+          stopped = true
+          self.changeStream = null
+          if (current) current.close().catch(noop)
+        }
+
+        if (latest) self.position = latest
+        open()
+      })
+    )
+
+    return this
+  }
+
   /**
    * Start polling listener mode.
    *
@@ -387,40 +2290,67 @@ class Channel extends EventEmitter {
       latest,
       { insertDummy: false },
       this.handle(true, function (cursor, collection) {
+        let generation = 0
+        let stopped = false
+
+        // Without a start document every document is polled anyway.
+        if (cursor) self.scheduler.load(collection, cursor)
+        if (cursor) self.position = cursor
         self.listening = collection
         self.emit('ready', collection)
 
         const poll = function () {
-          if (self.closed || self.connection.destroyed) {
+          if (stopped || self.closed || self.connection.destroyed || !self.flowing(poll)) {
             return
           }
 
+          // Results of a poll which was running during a rebuild are dropped.
+          const current = generation
+          self.selector = self.buildSelector()
           const query = cursor && cursor._id ? { _id: { $gt: cursor._id } } : {}
+          const room = self.room()
+          const find = collection.find(self.withSelector(query)).sort({ _id: 1 })
+          if (room < Infinity) find.limit(room)
 
-          collection
-            .find(query)
-            .sort({ _id: 1 })
+          find
             .toArray()
             .then((docs) => {
+              if (current !== generation) return
+
               if (docs.length) {
-                docs.forEach((doc) => {
-                  cursor = doc
-                  if (doc.event) {
-                    self.emit(doc.event, doc.message)
-                    self.emit('message', doc.message)
-                  }
-                  self.emit('document', doc)
-                })
+                cursor = self.position = docs[docs.length - 1]
+                self.dispatchMany(docs)
               }
 
-              self.pollingTimer = setTimeout(poll, self.options.pollInterval)
+              // A full fetch likely left documents behind, continue right away.
+              self.pollingTimer = setTimeout(poll, docs.length === room ? 0 : self.options.pollInterval)
             })
             .catch((err) => {
+              if (current !== generation) return
+
               self.emit('error', err)
               self.pollingTimer = setTimeout(poll, self.options.pollInterval)
             })
         }
 
+        self.rebuild = function (previous, done) {
+          generation++
+          clearTimeout(self.pollingTimer)
+          self.pollingTimer = null
+          self.catchUp(collection, cursor, previous, function (position) {
+            cursor = self.position = position
+            poll()
+            done()
+          })
+        }
+
+        self.stop = function () {
+          stopped = true
+          generation++
+          clearTimeout(self.pollingTimer)
+          self.pollingTimer = null
+        }
+
         poll()
       })
     )
@@ -446,9 +2376,16 @@ class Channel extends EventEmitter {
       options = {}
     }
 
+    const self = this
     const opts = Object.assign({ insertDummy: true }, options)
 
     function onCollection (collection) {
+      // Continue right after the last document the channel received, f.e.
+      // when the listener is restored, even if that document is gone.
+      if (latest && latest === self.position) {
+        return callback(undefined, latest, collection)
+      }
+
       const cursor = collection
         .find(latest ? { _id: latest._id } : {}, { timeout: false })
         .hint({ $natural: -1 })
@@ -503,6 +2440,8 @@ class Channel extends EventEmitter {
    */
   handle (exit, callback, recovery) {
     const self = this
+    // Callbacks of a listener replaced by `restore` are ignored.
+    const listener = this.listener
 
     if (typeof exit === 'function') {
       callback = exit
@@ -510,7 +2449,7 @@ class Channel extends EventEmitter {
     }
 
     return function () {
-      if (self.closed || self.connection.destroyed) {
+      if (self.closed || self.connection.destroyed || listener !== self.listener) {
         return
       }
 
@@ -530,11 +2469,32 @@ class Channel extends EventEmitter {
   /**
    * Call back if collection is ready for publishing.
    *
-   * @param {Function} callback
-   * @return {Channel} this
-   * @api private
+   * @param {Function} [callback]
+   * @return {Channel|Promise} this, or a Promise of the collection if no callback passed
+   * @api public
    */
   ready (callback) {
+    const self = this
+
+    if (typeof callback !== 'function') {
+      return new Promise(function (resolve, reject) {
+        if (self.listening) return resolve(self.listening)
+        if (self.failure) return reject(self.failure)
+
+        function onReady (collection) {
+          self.removeListener('error', onError)
+          resolve(collection)
+        }
+        function onError (err) {
+          self.removeListener('ready', onReady)
+          reject(err)
+        }
+
+        self.once('ready', onReady)
+        self.once('error', onError)
+      })
+    }
+
     if (this.listening) {
       callback(this.listening)
     } else {
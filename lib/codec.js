@@ -0,0 +1,199 @@
+const zlib = require('zlib')
+const mongodb = require('mongodb')
+const BSON = mongodb.BSON
+
+/**
+ * Keep BigInts and Maps in JSON, as `{ $bigint }` and `{ $map }` documents.
+ *
+ * @param {String} key
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+function replacer (key, value) {
+  if (typeof value === 'bigint') return { $bigint: value.toString() }
+  if (value instanceof Map) return { $map: Array.from(value) }
+
+  return value
+}
+
+/**
+ * Restore the BigInts and Maps of `replacer`.
+ *
+ * @param {String} key
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+function reviver (key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value)
+    if (keys.length === 1 && keys[0] === '$bigint' && typeof value.$bigint === 'string') {
+      return BigInt(value.$bigint)
+    }
+    if (keys.length === 1 && keys[0] === '$map' && Array.isArray(value.$map)) {
+      return new Map(value.$map)
+    }
+  }
+
+  return value
+}
+
+/**
+ * Built-in codecs. `bson` stores the message as it is.
+ *
+ * @api private
+ */
+const CODECS = {
+  bson: {
+    name: 'bson',
+    encode: (message) => message,
+    decode: (value) => value
+  },
+  json: {
+    name: 'json',
+    encode: (message) => JSON.stringify(message, replacer),
+    decode: (value) => (value == null ? value : JSON.parse(value, reviver))
+  }
+}
+
+/**
+ * Supported compression algorithms. zstd is only available on Node.js
+ * versions which ship it in zlib.
+ *
+ * @api private
+ */
+const COMPRESSORS = {
+  gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  deflate: { compress: zlib.deflateSync, decompress: zlib.inflateSync },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+}
+
+if (typeof zlib.zstdCompressSync === 'function') {
+  COMPRESSORS.zstd = { compress: zlib.zstdCompressSync, decompress: zlib.zstdDecompressSync }
+}
+
+class Codec {
+  /**
+   * Codec constructor. Encodes messages before they are published and
+   * decodes them before they are emitted. The codec (and compression) used is
+   * stored on each document, so documents of publishers with other codecs
+   * are decoded as well. Documents without marker are plain BSON.
+   *
+   * @param {String|Object} [codec] bson | json | `{ name, encode, decode }`, default is bson
+   * @param {String|Object} [compression] algorithm or `{ algorithm, threshold }`
+   *   - `algorithm` gzip | deflate | brotli | zstd
+   *   - `threshold` min encoded size in bytes to compress, default is 1024
+   * @api private
+   */
+  constructor (codec, compression) {
+    codec || (codec = 'bson')
+    if (typeof codec === 'string') {
+      if (!CODECS[codec]) {
+        throw new Error(`Mubsub: unknown codec "${codec}".`)
+      }
+      codec = CODECS[codec]
+    } else if (
+      typeof codec.name !== 'string' ||
+      typeof codec.encode !== 'function' ||
+      typeof codec.decode !== 'function'
+    ) {
+      throw new Error('Mubsub: codec requires a name, an encode and a decode function.')
+    }
+
+    if (typeof compression === 'string') {
+      compression = { algorithm: compression }
+    }
+    if (compression && !COMPRESSORS[compression.algorithm]) {
+      throw new Error(`Mubsub: unsupported compression "${compression.algorithm}".`)
+    }
+
+    this.codec = codec
+    this.codecs = Object.assign({}, CODECS, { [codec.name]: codec })
+    this.compression = compression
+      ? {
+          algorithm: compression.algorithm,
+          threshold: typeof compression.threshold === 'number' ? compression.threshold : 1024
+        }
+      : null
+  }
+
+  /**
+   * Encode a message into the document fields to store.
+   *
+   * @param {*} message
+   * @return {Object} `{ message, [_codec], [_compression] }`
+   * @api private
+   */
+  encode (message) {
+    const fields = { message: this.codec.encode(message) }
+
+    if (this.codec.name !== 'bson') {
+      fields._codec = this.codec.name
+    }
+
+    if (this.compression) {
+      // Wrapping the value in a document serializes strings, buffers and
+      // documents alike.
+      const bytes = BSON.serialize({ v: fields.message })
+      if (bytes.length >= this.compression.threshold) {
+        const compressor = COMPRESSORS[this.compression.algorithm]
+        fields.message = new mongodb.Binary(compressor.compress(bytes))
+        fields._codec = this.codec.name
+        fields._compression = this.compression.algorithm
+      }
+    }
+
+    return fields
+  }
+
+  /**
+   * Decode the message of a stored document.
+   *
+   * @param {Object} doc
+   * @return {*} message
+   * @api private
+   */
+  decode (doc) {
+    if (!doc._codec) {
+      return doc.message
+    }
+
+    const codec = this.codecs[doc._codec]
+    if (!codec) {
+      throw new Error(`Mubsub: unknown codec "${doc._codec}".`)
+    }
+
+    let value = doc.message
+    if (doc._compression) {
+      const compressor = COMPRESSORS[doc._compression]
+      if (!compressor) {
+        throw new Error(`Mubsub: unsupported compression "${doc._compression}".`)
+      }
+      value = BSON.deserialize(compressor.decompress(toBuffer(value)), { promoteBuffers: true }).v
+    }
+
+    if (value instanceof mongodb.Binary && codec.name !== 'bson') {
+      value = toBuffer(value)
+    }
+
+    return codec.decode(value)
+  }
+}
+
+/**
+ * Get the bytes of a BSON Binary.
+ *
+ * @param {Binary|Buffer} value
+ * @return {Buffer}
+ * @api private
+ */
+function toBuffer (value) {
+  if (value instanceof mongodb.Binary) {
+    return Buffer.from(value.buffer.buffer, value.buffer.byteOffset, value.position)
+  }
+
+  return Buffer.from(value)
+}
+
+module.exports = Codec
@@ -1,34 +1,129 @@
 const EventEmitter = require('events')
 const MongoClient = require('mongodb').MongoClient
 const Channel = require('./channel')
-const noop = function () {}
+const metrics = require('./metrics')
+const lease = require('./lease')
+const utils = require('./utils')
 
 class Connection extends EventEmitter {
+  /**
+   * Connection constructor.
+   *
+   * @param {String|Db} uri connection string or a `Db` instance
+   * @param {Object} [options] options of `MongoClient.connect`, and
+   *   - `headers` default headers of every published message, f.e. the
+   *     service name or host
+   *   - `reconnect` retries of the initial connect:
+   *     - `retries` amount of retries, default is 0
+   *     - `retryDelay` time in ms before the first retry, doubled for every
+   *       further retry, default is 1000ms
+   *     - `maxRetryDelay` max time in ms between retries, default is 30000ms
+   * @api public
+   */
   constructor (uri, options) {
     super()
-    const self = this
 
-    options || (options = {})
+    options = Object.assign({}, options)
+    this.headers = Object.assign({}, options.headers)
+    delete options.headers
+
+    const reconnect = options.reconnect || {}
+    delete options.reconnect
+    this.reconnect = {
+      retries: reconnect.retries > 0 ? reconnect.retries : 0,
+      retryDelay: typeof reconnect.retryDelay === 'number' ? reconnect.retryDelay : 1000,
+      maxRetryDelay: typeof reconnect.maxRetryDelay === 'number' ? reconnect.maxRetryDelay : 30000
+    }
+
+    this.closing = false
+    this.destroyed = false
+    this.channels = {}
+    this.exporters = new Set()
+    this.leases = new Set()
+    this.attempts = 0
+    this.retryTimer = null
+    this.lost = false
+    this.failure = null
 
     // It's a Db instance.
     if (uri.collection) {
       this.db = uri
+      // The driver's client of the Db, if it has one, reports lost connections.
+      if (uri.client && typeof uri.client.on === 'function') {
+        this.monitor(uri.client)
+      }
     } else {
-      const p = MongoClient.connect(uri, options)
-      p.then((client) => {
-        self.client = client
-        self.db = client.db()
-        self.emit('connect', self.db)
-        self.client.on('error', function (err) {
-          self.emit('error', err)
-        })
-      }).catch((err) => {
+      this.connect(uri, options)
+    }
+  }
+
+  /**
+   * Connect, and retry with backoff if connecting fails.
+   *
+   * @param {String} uri
+   * @param {Object} options
+   * @api private
+   */
+  connect (uri, options) {
+    const self = this
+
+    this.retryTimer = null
+    MongoClient.connect(uri, options).then((client) => {
+      self.client = client
+      self.db = client.db()
+      self.attempts = 0
+      self.emit('connect', self.db)
+      self.client.on('error', function (err) {
         self.emit('error', err)
       })
-    }
+      self.monitor(client)
+    }).catch((err) => {
+      if (self.closing || self.attempts >= self.reconnect.retries) {
+        if (!self.closing) {
+          self.failure = err
+          Object.keys(self.channels).forEach((name) => self.channels[name].fail(err))
+        }
+        return self.emit('error', err)
+      }
 
-    this.destroyed = false
-    this.channels = {}
+      const delay = Math.min(
+        self.reconnect.retryDelay * Math.pow(2, self.attempts),
+        self.reconnect.maxRetryDelay
+      )
+      self.attempts++
+      self.retryTimer = setTimeout(function () {
+        self.connect(uri, options)
+      }, delay)
+      self.emit('reconnecting', { attempt: self.attempts, delay, error: err })
+    })
+  }
+
+  /**
+   * Watch the servers of a client. Emits 'reconnecting' once no server is
+   * available anymore, and 'reconnected' once the driver recovered, then
+   * every channel restores its listener.
+   *
+   * @param {MongoClient} client
+   * @api private
+   */
+  monitor (client) {
+    const self = this
+
+    client.on('topologyDescriptionChanged', function (event) {
+      if (self.destroyed) return
+
+      const available = event.newDescription.hasDataBearingServers
+      if (!available && !self.lost && event.previousDescription.hasDataBearingServers) {
+        self.lost = true
+        self.emit('reconnecting')
+      } else if (available && self.lost) {
+        self.lost = false
+        Object.keys(self.channels).forEach((name) => {
+          self.channels[name].restore()
+        })
+        self.emit('reconnected')
+      }
+    })
   }
 
   get state () {
@@ -37,6 +132,8 @@ class Connection extends EventEmitter {
     // Using 'destroyed' to be compatible with the driver.
     if (this.destroyed) {
       state = 'destroyed'
+    } else if (this.lost || this.retryTimer) {
+      state = 'reconnecting'
     } else if (
       (this.db && !this.client) ||
       this.client?.topology?.isConnected()
@@ -56,23 +153,269 @@ class Connection extends EventEmitter {
       name = 'mubsub'
     }
 
-    if (!this.channels[name] || this.channels[name].closed) {
+    if (!this.channels[name] || this.channels[name].closing) {
       this.channels[name] = new Channel(this, name, options)
+      // Connecting gave up already, the channel never gets ready.
+      if (this.failure) {
+        process.nextTick((channel) => channel.fail(this.failure), this.channels[name])
+      }
     }
 
     return this.channels[name]
   }
 
-  close (callback) {
-    this.destroyed = true
-    if (this.client) {
-      callback || (callback = noop)
+  /**
+   * Wait until the connection is established.
+   *
+   * @return {Promise} Promise of the `Db` instance
+   * @api public
+   */
+  connected () {
+    const self = this
+
+    return new Promise(function (resolve, reject) {
+      if (self.destroyed) {
+        return reject(new Error('Mubsub: connection is closed.'))
+      }
+      if (self.db) {
+        return resolve(self.db)
+      }
+      if (self.failure) {
+        return reject(self.failure)
+      }
+
+      function onConnect (db) {
+        self.removeListener('error', onError)
+        resolve(db)
+      }
+      function onError (err) {
+        self.removeListener('connect', onConnect)
+        reject(err)
+      }
+
+      self.once('connect', onConnect)
+      self.once('error', onError)
+    })
+  }
+
+  /**
+   * Get the stats of all open channels, see `Channel#stats`.
+   *
+   * @param {Function} [callback]
+   * @return {Connection|Promise} this, or a Promise of the stats by channel
+   *   name if no callback passed
+   * @api public
+   */
+  stats (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    const channels = Object.keys(this.channels)
+      .map((name) => this.channels[name])
+      .filter((channel) => !channel.closing)
+
+    Promise.all(channels.map((channel) => channel.stats()))
+      .then((stats) => {
+        const byName = {}
+        stats.forEach((channelStats) => {
+          byName[channelStats.channel] = channelStats
+        })
+        done(null, byName)
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Get the metrics of all open channels in the Prometheus text format.
+   *
+   * @param {Function} [callback]
+   * @return {Connection|Promise} this, or a Promise of the text if no callback passed
+   * @api public
+   */
+  metrics (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    this.stats()
+      .then((stats) => {
+        done(null, metrics.prometheus(Object.keys(stats).map((name) => stats[name])))
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Pass the metrics of all channels to an exporter periodically, f.e. to
+   * push them to a Prometheus Pushgateway or record them with OpenTelemetry.
+   * Errors of the exporter (thrown or rejected) are emitted as 'error'.
+   *
+   * @param {Function} exporter called with the metrics, may return a Promise
+   * @param {Object} [options]
+   *   - `interval` time in ms between exports, default is 15000ms
+   *   - `format` prometheus (text) | stats (stats by channel name), default is prometheus
+   * @return {Object} stop function
+   * @api public
+   */
+  exportMetrics (exporter, options) {
+    options || (options = {})
+
+    const self = this
+    const interval = options.interval > 0 ? options.interval : 15000
+    const collect = options.format === 'stats' ? 'stats' : 'metrics'
+
+    const timer = setInterval(function () {
+      self[collect]()
+        .then((result) => exporter(result))
+        .catch((err) => {
+          self.emit('error', err)
+        })
+    }, interval)
+    timer.unref()
+    this.exporters.add(timer)
+
+    return {
+      stop: function () {
+        clearInterval(timer)
+        self.exporters.delete(timer)
+      }
+    }
+  }
+
+  /**
+   * Acquire a lock, f.e. to run a job in one process only. The lock is a
+   * lease in the `mubsub.leases` collection which expires after `ttl` unless
+   * it is renewed, so a crashed process can't hold it forever. Expiry relies
+   * on the clocks of the processes being in sync.
+   *
+   * @param {String} name
+   * @param {Object} [options]
+   *   - `ttl` time in ms the lock is held without renewal, default is 30000ms
+   *   - `wait` max time in ms to wait while the lock is held, default is 0
+   *   - `retryInterval` time in ms between attempts while waiting, default is 1000ms
+   * @param {Function} [callback]
+   * @return {Connection|Promise} this, or a Promise of the `Lock` (with its
+   *   fencing `token`), or null if the lock is held, if no callback passed
+   * @api public
+   */
+  lock (name, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    options || (options = {})
+
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    if (this.closing) {
+      process.nextTick(done, new Error('Mubsub: connection is closed.'))
+      return promise || this
+    }
+
+    lease.lock(this, name, options)
+      .then((lock) => {
+        done(null, lock)
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Campaign to be the leader of a group of processes, see `Election`. One
+   * process at a time is elected, its lease is renewed every `interval`.
+   *
+   * @param {String} name
+   * @param {Object} [options]
+   *   - `ttl` time in ms the leader holds the lease without renewal, default is 30000ms
+   *   - `interval` time in ms between campaigns, default is a third of the ttl
+   * @return {Election} emits 'elected' and 'demoted'
+   * @api public
+   */
+  elect (name, options) {
+    if (this.closing) {
+      throw new Error('Mubsub: connection is closed.')
+    }
+
+    return new lease.Election(this, name, options).start()
+  }
+
+  /**
+   * Close all channels, see `Channel#close`, release the locks and resign
+   * from the elections, then close the connection.
+   *
+   * @param {Object} [options] options of `Channel#close`
+   * @param {Function} [callback]
+   * @return {Connection|Promise} this, or a Promise if no callback passed
+   * @api public
+   */
+  close (options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    options || (options = {})
+
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    const self = this
+
+    // Destroyed once the channels are closed, draining needs the connection.
+    this.closing = true
+    this.exporters.forEach((timer) => clearInterval(timer))
+    this.exporters.clear()
+
+    const channels = Object.keys(this.channels).map((name) => this.channels[name])
+    Promise.all(channels.map((channel) => channel.close(options)))
+      .then(() => {
+        self.destroyed = true
+      })
+      .then(() => Promise.all(Array.from(this.leases).map((held) => held.close())))
+      .then(() => self.disconnect(done), done)
+
+    return promise || this
+  }
+
+  /**
+   * Close the client once the channels are closed.
+   *
+   * @param {Function} done
+   * @api private
+   */
+  disconnect (done) {
+    const self = this
+
+    if (this.retryTimer) {
+      // Waiting to retry the connect, there is nothing to close.
+      clearTimeout(this.retryTimer)
+      this.retryTimer = null
+      process.nextTick(done)
+    } else if (this.client) {
       this.client
         .close()
-        .then(() => callback())
-        .catch((e) => callback(e))
+        .then(() => done())
+        .catch((e) => done(e))
+    } else if (this.db) {
+      // The Db instance was passed in, its owner is in charge of closing it.
+      process.nextTick(done)
+    } else {
+      // Still connecting, close the client as soon as it is there.
+      const onConnect = function () {
+        self.removeListener('error', onError)
+        self.disconnect(done)
+      }
+      const onError = function () {
+        self.removeListener('connect', onConnect)
+        done()
+      }
+      this.once('connect', onConnect)
+      this.once('error', onError)
     }
-    return this
   }
 }
 
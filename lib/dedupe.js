@@ -0,0 +1,155 @@
+const noop = function () {}
+
+class MemoryDedupe {
+  /**
+   * In-memory dedupe store. Remembers the keys of the messages a subscription
+   * processed within the window.
+   *
+   * @param {Number} window time in ms keys are remembered
+   * @api private
+   */
+  constructor (window) {
+    this.window = window
+    this.keys = new Map()
+  }
+
+  /**
+   * Claim a message for processing.
+   *
+   * @param {String} key
+   * @return {Promise} Promise of false if the message was already claimed
+   * @api private
+   */
+  claim (key) {
+    const now = Date.now()
+
+    // Keys expire in the order they were claimed.
+    for (const [claimed, expireAt] of this.keys) {
+      if (expireAt > now) break
+      this.keys.delete(claimed)
+    }
+
+    if (this.keys.has(key)) {
+      return Promise.resolve(false)
+    }
+    this.keys.set(key, now + this.window)
+
+    return Promise.resolve(true)
+  }
+
+  /**
+   * Release the claim of a message which failed.
+   *
+   * @param {String} key
+   * @return {Promise}
+   * @api private
+   */
+  release (key) {
+    this.keys.delete(key)
+
+    return Promise.resolve()
+  }
+}
+
+class MongoDedupe {
+  /**
+   * MongoDB dedupe store. Claims are documents in the `<channel>.processed`
+   * collection, so every message is processed once by all subscriptions of
+   * the same group, across processes and restarts.
+   *
+   * @param {Channel} channel
+   * @param {String} group
+   * @param {Number} window time in ms claims are kept
+   * @api private
+   */
+  constructor (channel, group, window) {
+    this.channel = channel
+    this.group = group
+    this.window = window
+    this.index = null
+  }
+
+  /**
+   * Get the collection holding the claims.
+   *
+   * @return {Collection}
+   * @api private
+   */
+  collection () {
+    return this.channel.connection.db.collection(`${this.channel.name}.processed`)
+  }
+
+  /**
+   * Claim a message for processing.
+   *
+   * @param {String} key
+   * @return {Promise} Promise of false if the message was already claimed
+   * @api private
+   */
+  claim (key) {
+    const collection = this.collection()
+
+    if (!this.index) {
+      this.index = collection
+        .createIndex({ expireAt: 1 }, { expireAfterSeconds: 0, name: '_mubsub_processed_ttl' })
+        .then(noop)
+      this.index.catch(() => {
+        this.index = null
+      })
+    }
+
+    return this.index
+      .then(() => collection.insertOne({
+        _id: `${this.group}:${key}`,
+        group: this.group,
+        key,
+        expireAt: new Date(Date.now() + this.window)
+      }))
+      .then(() => true, (err) => {
+        if (err.code === 11000) return false
+        throw err
+      })
+  }
+
+  /**
+   * Release the claim of a message which failed.
+   *
+   * @param {String} key
+   * @return {Promise}
+   * @api private
+   */
+  release (key) {
+    return this.collection().deleteOne({ _id: `${this.group}:${key}` }).then(noop)
+  }
+}
+
+/**
+ * Create the dedupe store of a subscription.
+ *
+ * @param {Channel} channel
+ * @param {Boolean|Object} options true for the defaults, or
+ *   - `store` memory | mongo, default is memory
+ *   - `window` time in ms processed messages are remembered, default is 600000ms
+ *   - `group` name of the consumer group, required for the mongo store
+ * @return {MemoryDedupe|MongoDedupe|null}
+ * @api private
+ */
+exports.create = function (channel, options) {
+  if (!options) return null
+  if (options === true) options = {}
+
+  const window = options.window > 0 ? options.window : 600000
+
+  if (options.store && !['memory', 'mongo'].includes(options.store)) {
+    throw new Error(`Mubsub: unknown dedupe store "${options.store}".`)
+  }
+
+  if (options.store === 'mongo') {
+    if (!options.group) {
+      throw new Error('Mubsub: the mongo dedupe store requires a group.')
+    }
+    return new MongoDedupe(channel, String(options.group), window)
+  }
+
+  return new MemoryDedupe(window)
+}
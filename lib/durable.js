@@ -0,0 +1,311 @@
+const utils = require('./utils')
+const query = require('./query')
+const noop = function () {}
+
+/**
+ * Subscription options which durable subscriptions don't support, their
+ * callbacks run one at a time and every delivery moves the stored position.
+ *
+ * @api private
+ */
+const UNSUPPORTED = [
+  'filter', 'concurrency', 'maxPending', 'overflow', 'retries', 'retryDelay',
+  'deadLetter', 'dedupe', 'ordered', 'reorderWindow'
+]
+
+class DurableSubscription {
+  /**
+   * Durable subscription constructor. A durable subscription persists the
+   * `_id` of the last processed document in the `<channel>.cursors`
+   * collection and, when it is created again (f.e. after a restart), replays
+   * everything published after that position before switching to live
+   * delivery. Without name nothing is persisted and the subscription replays
+   * from `startFrom`.
+   *
+   * @param {Channel} channel
+   * @param {String|RegExp} event event name or pattern, 'message' for all events
+   * @param {Function} callback called with the message, may return a Promise
+   * @param {Object} options
+   *   - `durableName` unique name of the subscription within the channel
+   *   - `startFrom` 'earliest', Date or `_id` to replay from if no position is
+   *     stored, default is the newest document
+   *   - `meta` pass the metadata of the message as last argument
+   * @api private
+   */
+  constructor (channel, event, callback, options) {
+    const unsupported = UNSUPPORTED.filter((option) => options[option] != null && options[option] !== false)
+    if (unsupported.length) {
+      throw new Error(`Mubsub: durable and startFrom subscriptions don't support the ${unsupported.join(', ')} option.`)
+    }
+
+    this.channel = channel
+    this.event = event
+    this.pattern = utils.eventPattern(event)
+    this.callback = callback
+    this.name = options.durableName || null
+    this.origin = options.startFrom != null ? query.range(options.startFrom) : null
+    this.meta = options.meta === true
+    this.active = true
+    this.replaying = true
+    this.buffer = []
+    this.replayed = new Set()
+    this.replayedMax = ''
+    this.queue = Promise.resolve()
+    this.unselect = null
+    this.onDocument = this.onDocument.bind(this)
+  }
+
+  /**
+   * Start buffering live documents and replay the stored gap.
+   *
+   * @return {DurableSubscription} this
+   * @api private
+   */
+  start () {
+    const self = this
+
+    this.unselect = this.channel.select(query.forEvent(this.event))
+    this.channel.on('document', this.onDocument)
+    this.channel.consumers.add(this)
+    this.channel.ready(function (collection) {
+      self.replay(collection)
+    })
+
+    return this
+  }
+
+  /**
+   * Stop delivering documents. The stored position is kept.
+   *
+   * @return {DurableSubscription} this
+   * @api private
+   */
+  unsubscribe () {
+    this.active = false
+    this.buffer = []
+    this.channel.removeListener('document', this.onDocument)
+    this.channel.consumers.delete(this)
+    this.unselect()
+
+    return this
+  }
+
+  /**
+   * Wait until the queued callbacks have completed.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  idle () {
+    return this.queue
+  }
+
+  /**
+   * Stop delivering documents, when the channel closes.
+   *
+   * @return {DurableSubscription} this
+   * @api private
+   */
+  close () {
+    return this.unsubscribe()
+  }
+
+  /**
+   * Get the collection holding the positions of the durable subscriptions.
+   *
+   * @return {Collection}
+   * @api private
+   */
+  cursors () {
+    return this.channel.connection.db.collection(`${this.channel.name}.cursors`)
+  }
+
+  /**
+   * Check whether a document belongs to this subscription.
+   *
+   * @param {Object} doc
+   * @return {Boolean}
+   * @api private
+   */
+  matches (doc) {
+    if (!doc.event) return false
+    if (doc.event !== this.event && utils.isReserved(doc.event)) return false
+    if (this.pattern) return this.pattern.test(doc.event)
+
+    return this.event === 'message' || doc.event === this.event
+  }
+
+  /**
+   * Handle a live document from the channel listener.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  onDocument (doc) {
+    if (!this.matches(doc)) return
+
+    if (this.replaying) {
+      this.buffer.push(doc)
+    } else if (!this.isReplayed(doc)) {
+      this.deliver(doc)
+    }
+  }
+
+  /**
+   * Check whether a live document was already delivered by the replay. The
+   * listener may still be behind the replay, so replayed ids are remembered
+   * until a live document beyond the replayed range shows up.
+   *
+   * @param {Object} doc
+   * @return {Boolean}
+   * @api private
+   */
+  isReplayed (doc) {
+    if (!this.replayed) return false
+
+    const id = String(doc._id)
+    if (this.replayed.has(id)) {
+      this.replayed.delete(id)
+      return true
+    }
+    if (id > this.replayedMax) {
+      this.replayed = null
+    }
+
+    return false
+  }
+
+  /**
+   * Load the stored position and deliver every document published after it.
+   * Without a stored position the subscription starts at `startFrom` or the
+   * newest document.
+   *
+   * @param {Collection} collection
+   * @api private
+   */
+  replay (collection) {
+    const self = this
+    const channel = this.channel
+
+    ;(this.name ? this.cursors().findOne({ _id: this.name }) : Promise.resolve(null))
+      .then((state) => {
+        if (state && state.position) {
+          return self.check(collection, state.position).then(() => ({ _id: { $gt: state.position } }))
+        }
+        if (self.origin) {
+          return self.origin
+        }
+
+        return collection
+          .findOne({}, { sort: { _id: -1 }, projection: { _id: 1 } })
+          .then((newest) => newest && self.persist(newest._id).then(() => ({ _id: { $gt: newest._id } })))
+      })
+      .then((range) => {
+        if (!range) return
+
+        // Messages which are not due yet are delivered by the channel once due.
+        const criteria = { $and: [range, query.due(), query.forEvent(self.event)] }
+
+        return collection
+          .find(criteria)
+          .sort({ _id: 1 })
+          .forEach((doc) => {
+            if (!self.active) return false
+            if (!channel.receive(doc)) return
+            const id = String(doc._id)
+            self.replayed.add(id)
+            if (id > self.replayedMax) self.replayedMax = id
+            self.deliver(doc)
+          })
+      })
+      .catch((err) => {
+        channel.report(err)
+      })
+      .then(() => {
+        self.replaying = false
+        self.buffer.splice(0).forEach((doc) => {
+          if (!self.isReplayed(doc)) {
+            self.deliver(doc)
+          }
+        })
+      })
+  }
+
+  /**
+   * Emit 'gap' on the channel if the document at the stored position is gone
+   * and older documents were removed (f.e. overwritten in a capped collection).
+   *
+   * @param {Collection} collection
+   * @param {ObjectId} position
+   * @return {Promise}
+   * @api private
+   */
+  check (collection, position) {
+    const self = this
+
+    return Promise.all([
+      collection.findOne({ _id: position }, { projection: { _id: 1 } }),
+      collection.findOne({}, { sort: { _id: 1 }, projection: { _id: 1 } })
+    ]).then(([found, oldest]) => {
+      if (!found && oldest && String(oldest._id) > String(position)) {
+        self.channel.emit('gap', {
+          durableName: self.name,
+          event: self.event,
+          position,
+          oldest: oldest._id
+        })
+      }
+    })
+  }
+
+  /**
+   * Queue a document for the callback. Callbacks run one at a time, the
+   * position is stored once the callback (or its Promise) has completed.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  deliver (doc) {
+    const self = this
+    const channel = this.channel
+
+    this.queue = this.queue
+      .then(() => {
+        if (!self.active || channel.closed || channel.connection.destroyed) return
+
+        const args = [doc.message]
+        if (self.pattern) args.push(doc.event)
+        if (self.meta) args.push(channel.meta(doc))
+        const run = () => self.callback.apply(channel, args)
+
+        return Promise.resolve(channel.tracing ? channel.tracing.process(doc, run) : run())
+          .then(() => self.persist(doc._id))
+      })
+      .catch((err) => {
+        // Keeps the queue resolved for the next documents.
+        channel.report(err)
+      })
+  }
+
+  /**
+   * Store the position of the last processed document. The position never
+   * moves back, f.e. for a delayed message delivered after newer ones.
+   *
+   * @param {ObjectId} position
+   * @return {Promise}
+   * @api private
+   */
+  persist (position) {
+    if (!this.name) return Promise.resolve()
+
+    return this.cursors()
+      .updateOne(
+        { _id: this.name },
+        { $max: { position }, $set: { event: String(this.event), updatedAt: new Date() } },
+        { upsert: true }
+      )
+      .then(noop)
+  }
+}
+
+module.exports = DurableSubscription
@@ -0,0 +1,354 @@
+const dedupe = require('./dedupe')
+const Sequencer = require('./sequencer')
+
+/**
+ * What to do with a message when the buffer of a subscription is full.
+ *
+ * @api private
+ */
+const OVERFLOW = ['block', 'dropOldest', 'error']
+
+class Handler {
+  /**
+   * Handler constructor. Runs the callback of a subscription with at most
+   * `concurrency` messages at once, waiting for the Promises it returns, and
+   * buffers up to `maxPending` messages. Once the buffer is full the
+   * `overflow` policy applies:
+   *   - `block` pause the channel listener until the buffer has room again
+   *   - `dropOldest` drop the oldest buffered message
+   *   - `error` drop the new message and emit an `EOVERFLOW` error
+   *
+   * Callbacks which throw or reject are retried, once the retries are used up
+   * the error is emitted as 'handlerError' (reported as 'error' if nobody
+   * listens to it, see `Channel#report`).
+   *
+   * @param {Channel} channel
+   * @param {String|RegExp} event
+   * @param {Function} callback
+   * @param {Object} [options]
+   *   - `concurrency` max amount of messages handled at once, default is 1
+   *   - `maxPending` max amount of buffered messages, default is 100
+   *   - `overflow` block | dropOldest | error, default is block
+   *   - `retries` amount of retries of a failed callback, default is 0
+   *   - `retryDelay` time in ms before the first retry, doubled for every
+   *     further retry, default is 100ms
+   *   - `deadLetter` store failed messages in the `<channel>.dlq` collection,
+   *     default is false
+   *   - `dedupe` skip messages which were already processed, see `dedupe.create`
+   *   - `ordered` pass the messages of a key in sequence and one at a time,
+   *     see `Sequencer`
+   *   - `reorderWindow` time in ms to wait for missing messages of a key
+   *   - `meta` pass the metadata of the message (an array for batches) as
+   *     last argument
+   * @api private
+   */
+  constructor (channel, event, callback, options) {
+    options || (options = {})
+    // Messages the filter skips would look like missing sequence numbers.
+    if (options.ordered && options.filter) {
+      throw new Error('Mubsub: ordered subscriptions don\'t support the filter option.')
+    }
+    this.options = {
+      concurrency: options.concurrency > 0 ? Math.floor(options.concurrency) : 1,
+      maxPending: options.maxPending >= 0 ? Math.floor(options.maxPending) : 100,
+      overflow: OVERFLOW.includes(options.overflow) ? options.overflow : 'block',
+      retries: options.retries > 0 ? Math.floor(options.retries) : 0,
+      retryDelay: typeof options.retryDelay === 'number' ? options.retryDelay : 100,
+      deadLetter: options.deadLetter === true
+    }
+
+    this.channel = channel
+    this.event = event
+    this.callback = callback
+    this.dedupe = dedupe.create(channel, options.dedupe)
+    this.sequencer = options.ordered ? new Sequencer(this, options) : null
+    this.meta = options.meta === true
+    this.batch = false
+    this.running = 0
+    this.pending = []
+    this.dropped = 0
+    this.blocking = false
+    this.active = true
+    this.idlers = []
+    this.handle = this.handle.bind(this)
+    channel.consumers.add(this)
+  }
+
+  /**
+   * Run or buffer a message. Used as the listener of the subscription, the
+   * arguments are passed to the callback.
+   *
+   * @api private
+   */
+  handle () {
+    if (!this.active) return
+
+    // The document being dispatched, for dead-lettering.
+    const args = [].slice.call(arguments)
+    const doc = this.channel.current
+    if (this.meta && doc) {
+      args.push(Array.isArray(doc) ? doc.map((item) => this.channel.meta(item)) : this.channel.meta(doc))
+    }
+    if (this.sequencer) {
+      return this.sequencer.push(args, doc)
+    }
+    this.push(args, doc)
+  }
+
+  /**
+   * Run or buffer a message.
+   *
+   * @param {Array} args arguments for the callback
+   * @param {Object} doc document of the message
+   * @param {Function} [settled] called once the message is handled or dropped
+   * @api private
+   */
+  push (args, doc, settled) {
+    if (!this.active) return
+
+    const task = { args, doc, settled }
+    if (this.running < this.options.concurrency) {
+      return this.run(task)
+    }
+
+    if (this.pending.length >= this.options.maxPending) {
+      if (this.options.overflow === 'error') {
+        const err = new Error(`Mubsub: buffer of the subscription "${this.event}" is full.`)
+        err.code = 'EOVERFLOW'
+        err.event = this.event
+        this.channel.report(err)
+        if (settled) settled()
+        return
+      }
+      if (this.options.overflow === 'dropOldest') {
+        this.dropped++
+        if (!this.pending.length) {
+          if (settled) settled()
+          return
+        }
+        const dropped = this.pending.shift()
+        if (dropped.settled) dropped.settled()
+      }
+    }
+
+    this.pending.push(task)
+    if (
+      this.options.overflow === 'block' &&
+      !this.blocking &&
+      this.pending.length >= this.options.maxPending
+    ) {
+      this.blocking = true
+      this.channel.pause(this)
+    }
+  }
+
+  /**
+   * Run the callback for a message.
+   *
+   * @param {Object} task `{ args, doc }`
+   * @api private
+   */
+  run (task) {
+    const done = () => {
+      this.running--
+      if (task.settled) task.settled()
+      this.next()
+    }
+
+    this.running++
+    this.attempt(task, 1).then(done, (err) => {
+      // F.e. a 'handlerError' listener which threw.
+      done()
+      this.channel.report(err)
+    })
+  }
+
+  /**
+   * Claim a message in the dedupe store. Messages are identified by their
+   * idempotency key or `_id`.
+   *
+   * @param {Object} task
+   * @return {Promise} Promise of false if the message was already processed
+   * @api private
+   */
+  claim (task) {
+    const doc = task.doc
+    if (!doc || Array.isArray(doc)) {
+      task.claimed = true
+      return Promise.resolve(true)
+    }
+
+    task.key = doc._idempotencyKey != null ? String(doc._idempotencyKey) : String(doc._id)
+
+    return this.dedupe.claim(task.key).then((claimed) => {
+      task.claimed = claimed
+      return claimed
+    })
+  }
+
+  /**
+   * Call the callback and retry it with backoff if it fails. With dedupe the
+   * message is claimed first, a failed claim is retried like a failed call.
+   *
+   * @param {Object} task
+   * @param {Number} attempts
+   * @return {Promise}
+   * @api private
+   */
+  attempt (task, attempts) {
+    const channel = this.channel
+
+    if (this.dedupe && task.claimed == null) {
+      return this.claim(task).then((claimed) => {
+        return claimed && this.attempt(task, attempts)
+      }, (err) => this.retry(task, err, attempts))
+    }
+
+    const started = Date.now()
+    let result
+
+    try {
+      result = channel.tracing
+        ? channel.tracing.process(task.doc, () => this.callback.apply(channel, task.args))
+        : Promise.resolve(this.callback.apply(channel, task.args))
+    } catch (err) {
+      result = Promise.reject(err)
+    }
+
+    return result.then(() => {
+      channel.metrics.observe(String(this.event), Date.now() - started)
+    }, (err) => {
+      channel.metrics.observe(String(this.event), Date.now() - started)
+      return this.retry(task, err, attempts)
+    })
+  }
+
+  /**
+   * Attempt a failed message again after a backoff, or fail it once the
+   * retries are used up.
+   *
+   * @param {Object} task
+   * @param {Error} err
+   * @param {Number} attempts
+   * @return {Promise}
+   * @api private
+   */
+  retry (task, err, attempts) {
+    if (attempts > this.options.retries || !this.active || this.channel.closed) {
+      return this.fail(task, err, attempts)
+    }
+
+    const delay = this.options.retryDelay * Math.pow(2, attempts - 1)
+    return new Promise((resolve) => setTimeout(resolve, delay))
+      .then(() => this.attempt(task, attempts + 1))
+  }
+
+  /**
+   * Report a message the callback failed for and dead-letter it.
+   *
+   * @param {Object} task
+   * @param {Error} err
+   * @param {Number} attempts
+   * @return {Promise}
+   * @api private
+   */
+  fail (task, err, attempts) {
+    const channel = this.channel
+
+    // A message which couldn't be claimed may be claimed by someone else.
+    if (task.key && task.claimed) {
+      this.dedupe.release(task.key).catch((releaseErr) => {
+        channel.report(releaseErr)
+      })
+    }
+
+    if (channel.listenerCount('handlerError')) {
+      channel.emit('handlerError', err, {
+        event: this.event,
+        message: task.args[0],
+        document: task.doc,
+        attempts
+      })
+    } else {
+      channel.report(err)
+    }
+
+    if (!this.options.deadLetter || !task.doc) {
+      return Promise.resolve()
+    }
+
+    return channel.deadLetter([].concat(task.doc), err, attempts).catch((dlqErr) => {
+      channel.report(dlqErr)
+    })
+  }
+
+  /**
+   * Get how many more messages can be run or buffered right away. Batches
+   * count as one message, so batch handlers don't limit the documents.
+   *
+   * @return {Number}
+   * @api private
+   */
+  room () {
+    if (this.batch) return Infinity
+
+    return Math.max(this.options.concurrency - this.running, 0) +
+      Math.max(this.options.maxPending - this.pending.length, 0)
+  }
+
+  /**
+   * Run buffered messages and resume the channel once the buffer has room.
+   *
+   * @api private
+   */
+  next () {
+    while (this.active && this.running < this.options.concurrency && this.pending.length) {
+      this.run(this.pending.shift())
+    }
+
+    if (this.blocking && this.pending.length < Math.max(this.options.maxPending, 1)) {
+      this.blocking = false
+      this.channel.resume(this)
+    }
+
+    if (!this.running && !this.pending.length) {
+      this.idlers.splice(0).forEach((resolve) => resolve())
+    }
+  }
+
+  /**
+   * Wait until the running and buffered messages are handled.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  idle () {
+    if (!this.running && !this.pending.length) {
+      return Promise.resolve()
+    }
+
+    return new Promise((resolve) => this.idlers.push(resolve))
+  }
+
+  /**
+   * Stop handling messages and drop the buffered ones.
+   *
+   * @return {Handler} this
+   * @api private
+   */
+  close () {
+    this.active = false
+    this.pending = []
+    this.channel.consumers.delete(this)
+    this.idlers.splice(0).forEach((resolve) => resolve())
+    if (this.sequencer) this.sequencer.close()
+    if (this.blocking) {
+      this.blocking = false
+      this.channel.resume(this)
+    }
+
+    return this
+  }
+}
+
+module.exports = Handler
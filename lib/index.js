@@ -1,5 +1,7 @@
 const Connection = require('./connection')
 const Channel = require('./channel')
+const MemoryConnection = require('./memory').MemoryConnection
+const ValidationError = require('./schema').ValidationError
 const mongodb = require('mongodb')
 
 /**
@@ -13,6 +15,19 @@ module.exports = exports = function (uri, options) {
   return new Connection(uri, options)
 }
 
+/**
+ * Create a connection to an in-memory database, f.e. to test code using
+ * mubsub without MongoDB.
+ *
+ * @see MemoryConnection
+ * @param {Object} [options] options of `Connection`
+ * @return {MemoryConnection}
+ * @api public
+ */
+exports.memory = function (options) {
+  return new MemoryConnection(options)
+}
+
 /**
  * Mubsub version.
  *
@@ -34,6 +49,20 @@ exports.Connection = Connection
  */
 exports.Channel = Channel
 
+/**
+ * Expose MemoryConnection constructor.
+ *
+ * @api public
+ */
+exports.MemoryConnection = MemoryConnection
+
+/**
+ * Expose ValidationError constructor.
+ *
+ * @api public
+ */
+exports.ValidationError = ValidationError
+
 /**
  * Expose mongodb module.
  *
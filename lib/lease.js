@@ -0,0 +1,459 @@
+const os = require('os')
+const EventEmitter = require('events')
+const ObjectId = require('mongodb').ObjectId
+const utils = require('./utils')
+
+/**
+ * Collection holding the leases of all locks and elections.
+ *
+ * @api private
+ */
+const COLLECTION = 'mubsub.leases'
+
+/**
+ * Get the leases collection of a connection.
+ *
+ * @param {Connection} connection
+ * @return {Collection}
+ * @api private
+ */
+function collection (connection) {
+  return connection.db.collection(COLLECTION)
+}
+
+/**
+ * Get a unique owner id for a lock or an election of this process.
+ *
+ * @return {String}
+ * @api private
+ */
+function owner () {
+  return `${os.hostname()}:${process.pid}:${new ObjectId()}`
+}
+
+/**
+ * Acquire a lease if it is free, expired or already held by the owner. Every
+ * acquire increments the fencing token of the lease, leases are never
+ * deleted so tokens keep increasing.
+ *
+ * @param {Connection} connection
+ * @param {String} name
+ * @param {String} id owner id
+ * @param {Number} ttl time in ms the lease is held without renewal
+ * @return {Promise} Promise of the fencing token, or null if the lease is held
+ * @api private
+ */
+function acquire (connection, name, id, ttl) {
+  return connection.connected().then(function () {
+    const now = new Date()
+
+    return collection(connection).findOneAndUpdate(
+      { _id: name, $or: [{ expireAt: { $lte: now } }, { owner: id }] },
+      { $set: { owner: id, acquiredAt: now, expireAt: new Date(now.getTime() + ttl) }, $inc: { token: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    )
+  }).then(function (lease) {
+    return lease.token
+  }, function (err) {
+    // The lease exists and is held by another owner, so the upsert failed.
+    if (err.code === 11000) return null
+    throw err
+  })
+}
+
+/**
+ * Extend a lease which is still held with the token.
+ *
+ * @param {Connection} connection
+ * @param {String} name
+ * @param {String} id owner id
+ * @param {Number} token
+ * @param {Number} ttl
+ * @param {Number} [maxTimeMS] max time in ms the server may take
+ * @return {Promise} Promise of false if the lease was lost
+ * @api private
+ */
+function renew (connection, name, id, token, ttl, maxTimeMS) {
+  const now = new Date()
+
+  return collection(connection)
+    .updateOne(
+      { _id: name, owner: id, token, expireAt: { $gt: now } },
+      { $set: { expireAt: new Date(now.getTime() + ttl) } },
+      maxTimeMS ? { maxTimeMS } : {}
+    )
+    .then((result) => result.matchedCount === 1)
+}
+
+/**
+ * Give a lease up, it expires right away.
+ *
+ * @param {Connection} connection
+ * @param {String} name
+ * @param {String} id owner id
+ * @param {Number} token
+ * @return {Promise} Promise of false if the lease was lost before
+ * @api private
+ */
+function release (connection, name, id, token) {
+  return collection(connection)
+    .updateOne(
+      { _id: name, owner: id, token },
+      { $set: { owner: null, expireAt: new Date(0) } }
+    )
+    .then((result) => result.matchedCount === 1)
+}
+
+/**
+ * Check the name and the options of a lock or an election.
+ *
+ * @param {String} name
+ * @param {Object} options
+ * @return {Number} ttl
+ * @api private
+ */
+function validate (name, options) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Mubsub: lease name must be a non-empty string.')
+  }
+  if (options.ttl != null && !(options.ttl > 0)) {
+    throw new Error('Mubsub: ttl must be a positive number.')
+  }
+
+  return options.ttl || 30000
+}
+
+class Lock {
+  /**
+   * Lock constructor, for a lease which was acquired.
+   *
+   * @param {Connection} connection
+   * @param {String} name
+   * @param {String} id owner id
+   * @param {Number} token fencing token
+   * @param {Number} ttl
+   * @api private
+   */
+  constructor (connection, name, id, token, ttl) {
+    this.connection = connection
+    this.name = name
+    this.owner = id
+    this.token = token
+    this.ttl = ttl
+    this.held = true
+    connection.leases.add(this)
+  }
+
+  /**
+   * Extend the lock by its ttl (or the given one).
+   *
+   * @param {Number} [ttl]
+   * @param {Function} [callback]
+   * @return {Lock|Promise} this, or a Promise of false if the lock expired
+   *   and was lost if no callback passed
+   * @api public
+   */
+  renew (ttl, callback) {
+    if (typeof ttl === 'function') {
+      callback = ttl
+      ttl = null
+    }
+
+    const self = this
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    if (!this.held) {
+      process.nextTick(done, null, false)
+      return promise || this
+    }
+
+    renew(this.connection, this.name, this.owner, this.token, ttl || this.ttl)
+      .then((renewed) => {
+        if (!renewed) self.forget()
+        done(null, renewed)
+      })
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Release the lock.
+   *
+   * @param {Function} [callback]
+   * @return {Lock|Promise} this, or a Promise if no callback passed
+   * @api public
+   */
+  release (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+
+    if (!this.held) {
+      process.nextTick(done)
+      return promise || this
+    }
+
+    this.forget()
+    release(this.connection, this.name, this.owner, this.token)
+      .then(() => done())
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Release the lock when the connection closes.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  close () {
+    return this.release().catch(() => {})
+  }
+
+  /**
+   * @api private
+   */
+  forget () {
+    this.held = false
+    this.connection.leases.delete(this)
+  }
+}
+
+/**
+ * Acquire a lock, retrying while it is held for up to `wait` ms.
+ *
+ * @param {Connection} connection
+ * @param {String} name
+ * @param {Object} options
+ *   - `ttl` time in ms the lock is held without renewal, default is 30000ms
+ *   - `wait` max time in ms to wait for the lock, default is 0
+ *   - `retryInterval` time in ms between attempts while waiting, default is 1000ms
+ * @return {Promise} Promise of the Lock, or null if it is held
+ * @api private
+ */
+function lock (connection, name, options) {
+  let ttl
+
+  try {
+    ttl = validate(name, options)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  const id = owner()
+  const until = Date.now() + (options.wait > 0 ? options.wait : 0)
+  const interval = options.retryInterval > 0 ? options.retryInterval : 1000
+
+  function attempt () {
+    return acquire(connection, name, id, ttl).then(function (token) {
+      // The leases of the connection are released already, give it up again.
+      if (token !== null && connection.destroyed) {
+        release(connection, name, id, token).catch(() => {})
+        throw new Error('Mubsub: connection is closed.')
+      }
+      if (token !== null) {
+        return new Lock(connection, name, id, token, ttl)
+      }
+
+      const delay = Math.min(interval, until - Date.now())
+      if (delay <= 0) {
+        return null
+      }
+
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(attempt)
+    })
+  }
+
+  return attempt()
+}
+
+class Election extends EventEmitter {
+  /**
+   * Election constructor. Campaigns for a lease every `interval`: acquires it
+   * if it is free, and renews it while elected. Emits 'elected' and
+   * 'demoted' with `{ name, token }`, demoted as soon as the lease expires
+   * without renewal, even while a renewal is still running. Failed campaigns
+   * are emitted as 'error'.
+   *
+   * @param {Connection} connection
+   * @param {String} name
+   * @param {Object} [options]
+   *   - `ttl` time in ms the leader holds the lease without renewal, default is 30000ms
+   *   - `interval` time in ms between campaigns, default is a third of the ttl
+   * @api private
+   */
+  constructor (connection, name, options) {
+    super()
+    options || (options = {})
+    this.ttl = validate(name, options)
+    this.interval = options.interval > 0 ? options.interval : Math.floor(this.ttl / 3)
+    this.connection = connection
+    this.name = name
+    this.owner = owner()
+    this.leader = false
+    this.token = null
+    this.expireAt = 0
+    this.timer = null
+    this.expiry = null
+    this.active = false
+  }
+
+  /**
+   * Start campaigning.
+   *
+   * @return {Election} this
+   * @api private
+   */
+  start () {
+    this.active = true
+    this.connection.leases.add(this)
+    this.campaign()
+
+    return this
+  }
+
+  /**
+   * Acquire or renew the lease, then schedule the next campaign.
+   *
+   * @api private
+   */
+  campaign () {
+    const self = this
+    const started = Date.now()
+    const renewing = this.leader
+    const token = this.token
+    // A renewal taking longer than the lease has left is useless.
+    const attempt = renewing
+      ? renew(this.connection, this.name, this.owner, token, this.ttl, Math.max(this.expireAt - started, 1))
+      : acquire(this.connection, this.name, this.owner, this.ttl)
+
+    attempt
+      .then((result) => {
+        if (!this.active) {
+          // Acquired while resigning, give it up again.
+          if (!renewing && result !== null) {
+            release(this.connection, this.name, this.owner, result).catch(() => {})
+          }
+          return
+        }
+
+        if (renewing) {
+          // Demoted meanwhile, the lease expired before it was renewed.
+          if (!this.leader || this.token !== token) return
+          result ? this.extend(started) : this.demote()
+        } else if (result !== null) {
+          this.leader = true
+          this.token = result
+          this.extend(started)
+          this.emit('elected', { name: this.name, token: this.token })
+        }
+      }, (err) => {
+        if (!this.active) return
+        return err
+      })
+      .then((err) => {
+        if (!this.active) return
+
+        this.timer = setTimeout(function () {
+          self.campaign()
+        }, this.interval)
+        this.timer.unref()
+        if (err) this.report(err)
+      })
+  }
+
+  /**
+   * Emit the error of a campaign. The election keeps campaigning, so without
+   * 'error' listener it is emitted as a process warning instead.
+   *
+   * @param {Error} err
+   * @api private
+   */
+  report (err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err)
+    } else {
+      process.emitWarning(err)
+    }
+  }
+
+  /**
+   * Note the expiry of the lease acquired or renewed at `started`, and demote
+   * once it expires without renewal.
+   *
+   * @param {Number} started
+   * @api private
+   */
+  extend (started) {
+    this.expireAt = started + this.ttl
+    clearTimeout(this.expiry)
+    this.expiry = setTimeout(() => {
+      this.expiry = null
+      if (this.leader) this.demote()
+    }, this.expireAt - Date.now())
+    this.expiry.unref()
+  }
+
+  /**
+   * @api private
+   */
+  demote () {
+    const token = this.token
+
+    clearTimeout(this.expiry)
+    this.expiry = null
+    this.leader = false
+    this.token = null
+    this.emit('demoted', { name: this.name, token })
+  }
+
+  /**
+   * Stop campaigning and release the lease if elected.
+   *
+   * @param {Function} [callback]
+   * @return {Election|Promise} this, or a Promise if no callback passed
+   * @api public
+   */
+  resign (callback) {
+    const { callback: done, promise } = utils.callbackOrPromise(callback)
+    const leader = this.leader
+    const token = this.token
+
+    this.active = false
+    clearTimeout(this.timer)
+    this.timer = null
+    this.connection.leases.delete(this)
+
+    if (!leader) {
+      process.nextTick(done)
+      return promise || this
+    }
+
+    this.demote()
+    release(this.connection, this.name, this.owner, token)
+      .then(() => done())
+      .catch((err) => {
+        done(err)
+      })
+
+    return promise || this
+  }
+
+  /**
+   * Resign when the connection closes.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  close () {
+    return this.resign().catch(() => {})
+  }
+}
+
+exports.Lock = Lock
+exports.Election = Election
+exports.lock = lock
@@ -0,0 +1,1010 @@
+const mongodb = require('mongodb')
+const Connection = require('./connection')
+const Codec = require('./codec')
+const query = require('./query')
+
+const BSON = mongodb.BSON
+const EJSON = BSON.EJSON
+
+/**
+ * Index every collection has.
+ *
+ * @api private
+ */
+const ID_INDEX = { key: { _id: 1 }, name: '_id_', unique: true }
+
+/**
+ * Copy a document the way a round trip to the server does, so stored
+ * documents can't be changed by the caller and vice versa.
+ *
+ * @param {Object} doc
+ * @return {Object}
+ * @api private
+ */
+function copy (doc) {
+  return BSON.deserialize(BSON.serialize(doc))
+}
+
+/**
+ * Get the value of a dot separated path.
+ *
+ * @param {Object} doc
+ * @param {String} path
+ * @return {*}
+ * @api private
+ */
+function get (doc, path) {
+  return path.split('.').reduce(function (value, key) {
+    return value == null ? undefined : value[key]
+  }, doc)
+}
+
+/**
+ * Set the value of a dot separated path, creating the parents.
+ *
+ * @param {Object} doc
+ * @param {String} path
+ * @param {*} value undefined removes the field
+ * @api private
+ */
+function set (doc, path, value) {
+  const keys = path.split('.')
+  const last = keys.pop()
+  const parent = keys.reduce(function (object, key) {
+    if (object[key] == null || typeof object[key] !== 'object') object[key] = {}
+    return object[key]
+  }, doc)
+
+  value === undefined ? delete parent[last] : (parent[last] = value)
+}
+
+/**
+ * Get the key of the values of a unique index, the same for values
+ * `query.equals` considers equal.
+ *
+ * @param {Array} values
+ * @return {String}
+ * @api private
+ */
+function indexKey (values) {
+  if (values.length === 1 && values[0] instanceof mongodb.ObjectId) {
+    return values[0].toHexString()
+  }
+
+  return EJSON.stringify(values, { relaxed: false })
+}
+
+/**
+ * Create an error like the ones of the server.
+ *
+ * @param {String} message
+ * @param {Number} code
+ * @param {String} [codeName]
+ * @return {MongoServerError}
+ * @api private
+ */
+function serverError (message, code, codeName) {
+  return new mongodb.MongoServerError({ message, errmsg: message, code, codeName })
+}
+
+/**
+ * Apply the update operators of an update to a document.
+ *
+ * @param {Object} doc
+ * @param {Object} update
+ * @param {Boolean} inserting whether the document is upserted
+ * @api private
+ */
+function apply (doc, update, inserting) {
+  Object.keys(update).forEach(function (operator) {
+    const fields = update[operator]
+
+    Object.keys(fields).forEach(function (path) {
+      const value = fields[path]
+      const current = get(doc, path)
+
+      switch (operator) {
+        case '$set':
+          return set(doc, path, value)
+        case '$setOnInsert':
+          return inserting && set(doc, path, value)
+        case '$unset':
+          return set(doc, path, undefined)
+        case '$inc':
+          return set(doc, path, (current || 0) + value)
+        case '$max':
+          return (current === undefined || query.compare(value, current) > 0) && set(doc, path, value)
+        case '$min':
+          return (current === undefined || query.compare(value, current) < 0) && set(doc, path, value)
+        default:
+          throw serverError(`Unknown modifier: ${operator}.`, 9, 'FailedToParse')
+      }
+    })
+  })
+}
+
+/**
+ * Sort documents by a sort specification.
+ *
+ * @param {Array} docs
+ * @param {Object} sort f.e. `{ _id: -1 }`
+ * @return {Array} docs
+ * @api private
+ */
+function sort (docs, sort) {
+  const keys = Object.keys(sort)
+
+  return docs.sort(function (a, b) {
+    for (const key of keys) {
+      const order = query.compare(get(a, key), get(b, key)) || 0
+      if (order) return order * sort[key]
+    }
+    return 0
+  })
+}
+
+/**
+ * Apply a projection (inclusive or exclusive) to a document.
+ *
+ * @param {Object} doc
+ * @param {Object} [projection]
+ * @return {Object}
+ * @api private
+ */
+function project (doc, projection) {
+  const keys = Object.keys(projection || {})
+  if (!keys.length) return doc
+
+  if (keys.some((key) => key !== '_id' && projection[key])) {
+    const projected = projection._id === 0 ? {} : { _id: doc._id }
+    keys.forEach(function (key) {
+      if (key !== '_id' && projection[key] && get(doc, key) !== undefined) {
+        set(projected, key, get(doc, key))
+      }
+    })
+    return projected
+  }
+
+  keys.forEach(function (key) {
+    if (!projection[key]) set(doc, key, undefined)
+  })
+
+  return doc
+}
+
+class MemoryCursor {
+  /**
+   * Cursor of a `MemoryCollection`. Tailable cursors wait for documents
+   * inserted into the capped collection after the ones they returned.
+   *
+   * @param {MemoryCollection} collection
+   * @param {Object} [filter]
+   * @param {Object} [options] `sort`, `limit`, `projection`, `tailable`
+   * @api private
+   */
+  constructor (collection, filter, options) {
+    options || (options = {})
+    this.collection = collection
+    this.filter = filter || {}
+    this.options = Object.assign({}, options)
+    this.natural = 1
+    this.buffer = null
+    this.position = 0
+    this.closed = false
+    this.wake = null
+  }
+
+  /**
+   * @param {Object} sort
+   * @return {MemoryCursor} this
+   * @api private
+   */
+  sort (sort) {
+    this.options.sort = sort
+    return this
+  }
+
+  /**
+   * @param {Number} limit
+   * @return {MemoryCursor} this
+   * @api private
+   */
+  limit (limit) {
+    this.options.limit = limit
+    return this
+  }
+
+  /**
+   * @param {Object} projection
+   * @return {MemoryCursor} this
+   * @api private
+   */
+  project (projection) {
+    this.options.projection = projection
+    return this
+  }
+
+  /**
+   * Only `$natural` is meaningful, it sets the insertion order.
+   *
+   * @param {Object} hint
+   * @return {MemoryCursor} this
+   * @api private
+   */
+  hint (hint) {
+    if (hint && hint.$natural) this.natural = hint.$natural
+    return this
+  }
+
+  /**
+   * Get the next document, or null if there is none. Tailable cursors wait
+   * until there is one or the cursor is closed.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  next () {
+    if (this.closed) {
+      return Promise.resolve(null)
+    }
+    if (this.options.tailable) {
+      return this.tail()
+    }
+
+    this.buffer || (this.buffer = this.collection.search(this.filter, this.options, this.natural))
+
+    return Promise.resolve(this.buffer.length ? this.buffer.shift() : null)
+  }
+
+  /**
+   * @return {Promise} Promise of the remaining documents
+   * @api private
+   */
+  toArray () {
+    if (this.options.tailable) {
+      return Promise.reject(serverError('Tailable cursors can\'t be read to the end.', 2, 'BadValue'))
+    }
+
+    this.buffer || (this.buffer = this.collection.search(this.filter, this.options, this.natural))
+    const docs = this.closed ? [] : this.buffer.splice(0)
+    this.closed = true
+
+    return Promise.resolve(docs)
+  }
+
+  /**
+   * Call a function with each remaining document, until it returns false.
+   *
+   * @param {Function} fn
+   * @return {Promise}
+   * @api private
+   */
+  forEach (fn) {
+    return this.toArray().then(function (docs) {
+      for (const doc of docs) {
+        if (fn(doc) === false) break
+      }
+    })
+  }
+
+  /**
+   * Take the documents which are already fetched.
+   *
+   * @param {Number} [number] max amount of documents, default is all
+   * @return {Array}
+   * @api private
+   */
+  readBufferedDocuments (number) {
+    return this.buffer ? this.buffer.splice(0, number == null ? this.buffer.length : number) : []
+  }
+
+  /**
+   * @return {Promise}
+   * @api private
+   */
+  close () {
+    this.closed = true
+    this.buffer = null
+    if (this.wake) this.wake()
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Get the next document of a tailable cursor.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  tail () {
+    const self = this
+
+    if (!this.collection.capped) {
+      return Promise.reject(serverError(
+        `error processing query: ns=${this.collection.collectionName} tailable cursor requested on non capped collection`,
+        2,
+        'BadValue'
+      ))
+    }
+    if (this.buffer && this.buffer.length) {
+      return Promise.resolve(this.buffer.shift())
+    }
+
+    const entries = this.collection.tail(this.filter, this.position)
+    if (entries.length) {
+      this.position = entries[entries.length - 1].n
+      this.buffer = entries.map((entry) => project(copy(entry.doc), this.options.projection))
+      return Promise.resolve(this.buffer.shift())
+    }
+
+    return new Promise(function (resolve) {
+      self.wake = function () {
+        self.collection.waiters.delete(self.wake)
+        self.wake = null
+        resolve()
+      }
+      self.collection.waiters.add(self.wake)
+    }).then(() => this.next())
+  }
+}
+
+class MemoryCollection {
+  /**
+   * Collection of a `MemoryDb`, supporting the operations mubsub uses:
+   * queries with the operators of `query.matches`, the update operators
+   * `$set`, `$setOnInsert`, `$unset`, `$inc`, `$max` and `$min`, unique
+   * (and partial) indexes, TTL indexes and capped collections.
+   *
+   * @param {String} name
+   * @api private
+   */
+  constructor (name) {
+    this.collectionName = name
+    this.exists = false
+    this.capped = false
+    this.size = 0
+    this.max = 0
+    this.entries = []
+    this.inserted = 0
+    this.bytes = 0
+    this.indexList = []
+    this.keys = new Map()
+    this.waiters = new Set()
+  }
+
+  /**
+   * Create the collection with options of `Db#createCollection`. Validators
+   * are not enforced.
+   *
+   * @param {Object} [options] `capped`, `size`, `max`
+   * @return {MemoryCollection} this
+   * @api private
+   */
+  create (options) {
+    options || (options = {})
+    this.exists = true
+    this.capped = options.capped === true
+    this.size = this.capped ? options.size || 4096 : 0
+    this.max = this.capped && options.max > 0 ? options.max : 0
+
+    return this
+  }
+
+  /**
+   * @return {Promise<Boolean>}
+   * @api private
+   */
+  isCapped () {
+    return Promise.resolve(this.capped)
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {Object} [options]
+   * @return {MemoryCursor}
+   * @api private
+   */
+  find (filter, options) {
+    return new MemoryCursor(this, filter, options)
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {Object} [options]
+   * @return {Promise} Promise of the document or null
+   * @api private
+   */
+  findOne (filter, options) {
+    return this.attempt(() => {
+      return this.search(filter, Object.assign({}, options, { limit: 1 }))[0] || null
+    })
+  }
+
+  /**
+   * @param {Object} doc an `_id` is added if it has none
+   * @return {Promise} Promise of `{ insertedId }`
+   * @api private
+   */
+  insertOne (doc) {
+    return this.attempt(() => {
+      this.add(doc)
+      return { acknowledged: true, insertedId: doc._id }
+    })
+  }
+
+  /**
+   * Insert several documents. Failed inserts are reported in the
+   * `writeErrors` of the error.
+   *
+   * @param {Array} docs
+   * @param {Object} [options] `ordered`, default is true
+   * @return {Promise} Promise of `{ insertedCount, insertedIds }`
+   * @api private
+   */
+  insertMany (docs, options) {
+    const ordered = !options || options.ordered !== false
+
+    return this.attempt(() => {
+      const insertedIds = {}
+      const writeErrors = []
+
+      for (let index = 0; index < docs.length; index++) {
+        try {
+          this.add(docs[index])
+          insertedIds[index] = docs[index]._id
+        } catch (err) {
+          writeErrors.push({ index, code: err.code, errmsg: err.message })
+          if (ordered) break
+        }
+      }
+
+      if (writeErrors.length) {
+        const err = serverError(writeErrors[0].errmsg, writeErrors[0].code)
+        err.writeErrors = writeErrors
+        err.insertedIds = insertedIds
+        throw err
+      }
+
+      return { acknowledged: true, insertedCount: docs.length, insertedIds }
+    })
+  }
+
+  /**
+   * @param {Object} filter
+   * @param {Object} update
+   * @param {Object} [options] `upsert`
+   * @return {Promise} Promise of `{ matchedCount, modifiedCount, upsertedId }`
+   * @api private
+   */
+  updateOne (filter, update, options) {
+    return this.attempt(() => {
+      const result = this.modify(filter, update, options)
+
+      return {
+        acknowledged: true,
+        matchedCount: result.upserted ? 0 : Number(!!result.doc),
+        modifiedCount: result.upserted ? 0 : Number(!!result.doc),
+        upsertedCount: Number(result.upserted),
+        upsertedId: result.upserted ? result.doc._id : null
+      }
+    })
+  }
+
+  /**
+   * @param {Object} filter
+   * @param {Object} update
+   * @param {Object} [options] `sort`, `upsert`, `projection`, `returnDocument`
+   * @return {Promise} Promise of the document (before or after) or null
+   * @api private
+   */
+  findOneAndUpdate (filter, update, options) {
+    options || (options = {})
+
+    return this.attempt(() => {
+      const result = this.modify(filter, update, options)
+      const doc = options.returnDocument === 'after' ? result.doc : result.before
+
+      return doc ? project(copy(doc), options.projection) : null
+    })
+  }
+
+  /**
+   * @param {Object} filter
+   * @return {Promise} Promise of `{ deletedCount }`
+   * @api private
+   */
+  deleteOne (filter) {
+    return this.attempt(() => ({ acknowledged: true, deletedCount: this.remove(filter, 1) }))
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @return {Promise} Promise of `{ deletedCount }`
+   * @api private
+   */
+  deleteMany (filter) {
+    return this.attempt(() => ({ acknowledged: true, deletedCount: this.remove(filter) }))
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @return {Promise<Number>}
+   * @api private
+   */
+  countDocuments (filter) {
+    return this.attempt(() => this.search(filter).length)
+  }
+
+  /**
+   * @param {Object} keys f.e. `{ _ts: 1 }`
+   * @param {Object} [options] `name`, `unique`, `partialFilterExpression`,
+   *   `expireAfterSeconds`
+   * @return {Promise<String>} Promise of the index name
+   * @api private
+   */
+  createIndex (keys, options) {
+    options || (options = {})
+
+    return this.attempt(() => {
+      const name = options.name || Object.keys(keys).map((key) => `${key}_${keys[key]}`).join('_')
+
+      this.exists = true
+      if (!this.indexList.some((index) => index.name === name)) {
+        const index = Object.assign({}, options, { key: keys, name })
+        this.indexList.push(index)
+        if (index.unique) {
+          this.entries.forEach((entry) => this.index(entry, [index]))
+        }
+      }
+
+      return name
+    })
+  }
+
+  /**
+   * @return {Promise<Array>}
+   * @api private
+   */
+  indexes () {
+    return Promise.resolve([{ key: { _id: 1 }, name: '_id_' }].concat(this.indexList))
+  }
+
+  /**
+   * Change streams are only supported by replica sets, so this fails like
+   * on a standalone server.
+   *
+   * @return {Object} change stream which fails on first use
+   * @api private
+   */
+  watch () {
+    const fail = function () {
+      return Promise.reject(serverError('The $changeStream stage is only supported on replica sets', 40573, 'Location40573'))
+    }
+
+    return { next: fail, tryNext: fail, hasNext: fail, close: () => Promise.resolve() }
+  }
+
+  /**
+   * @return {Promise<Boolean>}
+   * @api private
+   */
+  drop () {
+    this.clear()
+    this.exists = false
+    this.capped = false
+    this.indexList = []
+    this.keys.clear()
+
+    return Promise.resolve(true)
+  }
+
+  /**
+   * Remove all documents.
+   *
+   * @api private
+   */
+  clear () {
+    this.entries = []
+    this.bytes = 0
+    this.keys.clear()
+  }
+
+  /**
+   * Run an operation asynchronously like a round trip to the server, with
+   * thrown errors as rejections.
+   *
+   * @param {Function} fn
+   * @return {Promise} result of fn
+   * @api private
+   */
+  attempt (fn) {
+    return new Promise(function (resolve) {
+      setImmediate(resolve)
+    }).then(() => {
+      this.expire()
+      return fn()
+    })
+  }
+
+  /**
+   * Find the matching documents.
+   *
+   * @param {Object} [filter]
+   * @param {Object} [options] `sort`, `limit`, `projection`
+   * @param {Number} [natural] insertion order, 1 or -1
+   * @return {Array} copies of the documents
+   * @api private
+   */
+  search (filter, options, natural) {
+    options || (options = {})
+
+    let docs = this.entries
+      .filter((entry) => query.matches(entry.doc, filter))
+      .map((entry) => entry.doc)
+
+    if (natural === -1) docs.reverse()
+    if (options.sort) docs = sort(docs, options.sort)
+    if (options.limit > 0) docs = docs.slice(0, options.limit)
+
+    return docs.map((doc) => project(copy(doc), options.projection))
+  }
+
+  /**
+   * Find the matching entries inserted after a position, for tailable
+   * cursors. Entries are kept in insertion order, so the search starts at
+   * the first entry after the position.
+   *
+   * @param {Object} filter
+   * @param {Number} position
+   * @return {Array}
+   * @api private
+   */
+  tail (filter, position) {
+    let low = 0
+    let high = this.entries.length
+
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (this.entries[middle].n > position) {
+        high = middle
+      } else {
+        low = middle + 1
+      }
+    }
+
+    return this.entries.slice(low).filter((entry) => query.matches(entry.doc, filter))
+  }
+
+  /**
+   * Insert a document, enforcing the unique indexes and the limits of a
+   * capped collection, and wake the tailable cursors.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  add (doc) {
+    if (doc._id === undefined) {
+      doc._id = new mongodb.ObjectId()
+    }
+
+    const stored = copy(doc)
+    this.unique(stored)
+    this.exists = true
+
+    const entry = { n: ++this.inserted, doc: stored, size: BSON.calculateObjectSize(stored) }
+    this.entries.push(entry)
+    this.bytes += entry.size
+    this.index(entry)
+
+    if (this.capped) {
+      while (this.entries.length > 1 && (this.bytes > this.size || (this.max && this.entries.length > this.max))) {
+        this.discard(this.entries.shift())
+      }
+    }
+
+    this.waiters.forEach((wake) => wake())
+  }
+
+  /**
+   * Update the first matching document, or upsert one.
+   *
+   * @param {Object} filter
+   * @param {Object} update
+   * @param {Object} [options] `sort`, `upsert`
+   * @return {Object} `{ doc, before, upserted }`
+   * @api private
+   */
+  modify (filter, update, options) {
+    options || (options = {})
+
+    let entries = this.entries.filter((entry) => query.matches(entry.doc, filter))
+    if (options.sort) {
+      const docs = sort(entries.map((entry) => entry.doc), options.sort)
+      entries = docs.map((doc) => entries.find((entry) => entry.doc === doc))
+    }
+
+    const entry = entries[0]
+    if (entry) {
+      const before = copy(entry.doc)
+      const doc = copy(entry.doc)
+      apply(doc, update, false)
+      this.unique(doc, entry)
+      this.unindex(entry)
+      entry.doc = doc
+      this.index(entry)
+
+      return { doc, before, upserted: false }
+    }
+
+    if (!options.upsert) {
+      return { doc: null, before: null, upserted: false }
+    }
+
+    // The equality conditions of the filter are the fields of the new document.
+    const doc = {}
+    Object.keys(filter || {}).forEach(function (key) {
+      const condition = filter[key]
+      const operator = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+        Object.keys(condition).some((field) => field[0] === '$')
+      if (key[0] !== '$' && !operator) set(doc, key, condition)
+    })
+    apply(doc, update, true)
+    this.add(doc)
+
+    return { doc, before: null, upserted: true }
+  }
+
+  /**
+   * Remove matching documents.
+   *
+   * @param {Object} [filter]
+   * @param {Number} [limit]
+   * @return {Number} removed amount
+   * @api private
+   */
+  remove (filter, limit) {
+    let removed = 0
+
+    this.entries = this.entries.filter((entry) => {
+      if ((limit && removed >= limit) || !query.matches(entry.doc, filter)) return true
+      removed++
+      this.discard(entry)
+      return false
+    })
+
+    return removed
+  }
+
+  /**
+   * Forget a removed entry in the unique indexes and the size.
+   *
+   * @param {Object} entry
+   * @api private
+   */
+  discard (entry) {
+    this.bytes -= entry.size
+    this.unindex(entry)
+  }
+
+  /**
+   * Get `_id` and the unique indexes.
+   *
+   * @return {Array}
+   * @api private
+   */
+  uniqueIndexes () {
+    return [ID_INDEX].concat(this.indexList.filter((index) => index.unique))
+  }
+
+  /**
+   * Get the key of a document in a unique index.
+   *
+   * @param {Object} index
+   * @param {Object} doc
+   * @return {String|null} null if the index doesn't cover the document
+   * @api private
+   */
+  keyOf (index, doc) {
+    if (index.partialFilterExpression && !query.matches(doc, index.partialFilterExpression)) {
+      return null
+    }
+
+    return indexKey(Object.keys(index.key).map((key) => get(doc, key)))
+  }
+
+  /**
+   * Add an entry to the unique indexes.
+   *
+   * @param {Object} entry
+   * @param {Array} [indexes] default is all unique indexes
+   * @api private
+   */
+  index (entry, indexes) {
+    (indexes || this.uniqueIndexes()).forEach((index) => {
+      const key = this.keyOf(index, entry.doc)
+      if (key === null) return
+
+      if (!this.keys.has(index.name)) {
+        this.keys.set(index.name, new Map())
+      }
+      this.keys.get(index.name).set(key, entry)
+    })
+  }
+
+  /**
+   * Remove an entry from the unique indexes.
+   *
+   * @param {Object} entry
+   * @api private
+   */
+  unindex (entry) {
+    this.uniqueIndexes().forEach((index) => {
+      const keys = this.keys.get(index.name)
+      const key = keys && this.keyOf(index, entry.doc)
+
+      if (key !== null && keys && keys.get(key) === entry) {
+        keys.delete(key)
+      }
+    })
+  }
+
+  /**
+   * Check a document against `_id` and the unique indexes.
+   *
+   * @param {Object} doc
+   * @param {Object} [self] entry of the document if it is updated
+   * @api private
+   */
+  unique (doc, self) {
+    this.uniqueIndexes().forEach((index) => {
+      const keys = this.keys.get(index.name)
+      const key = keys && this.keyOf(index, doc)
+      const found = key !== null && keys && keys.get(key)
+
+      if (found && found !== self) {
+        throw serverError(`E11000 duplicate key error collection: ${this.collectionName} index: ${index.name}`, 11000, 'DuplicateKey')
+      }
+    })
+  }
+
+  /**
+   * Remove the documents expired by TTL indexes.
+   *
+   * @api private
+   */
+  expire () {
+    const now = Date.now()
+
+    this.indexList.forEach((index) => {
+      if (typeof index.expireAfterSeconds !== 'number') return
+
+      const field = Object.keys(index.key)[0]
+      this.entries = this.entries.filter((entry) => {
+        const value = get(entry.doc, field)
+        const live = !(value instanceof Date) || value.getTime() + index.expireAfterSeconds * 1000 > now
+        if (!live) this.discard(entry)
+        return live
+      })
+    })
+  }
+}
+
+class MemoryDb {
+  /**
+   * In-memory database with the parts of the driver's `Db` mubsub uses. It
+   * behaves like a standalone server: capped collections and tailable
+   * cursors work, change streams don't.
+   *
+   * @api private
+   */
+  constructor () {
+    this.databaseName = 'memory'
+    this.store = new Map()
+  }
+
+  /**
+   * @param {String} name
+   * @return {MemoryCollection}
+   * @api private
+   */
+  collection (name) {
+    if (!this.store.has(name)) {
+      this.store.set(name, new MemoryCollection(name))
+    }
+
+    return this.store.get(name)
+  }
+
+  /**
+   * @param {String} name
+   * @param {Object} [options] `capped`, `size`, `max`
+   * @return {Promise} Promise of the collection
+   * @api private
+   */
+  createCollection (name, options) {
+    const collection = this.collection(name)
+
+    return collection.attempt(() => {
+      if (collection.exists) {
+        throw serverError(`Collection ${this.databaseName}.${name} already exists.`, 48, 'NamespaceExists')
+      }
+
+      return collection.create(options)
+    })
+  }
+
+  /**
+   * @return {Object} admin with a `command` which reports a standalone server
+   * @api private
+   */
+  admin () {
+    return {
+      command: () => Promise.resolve({ ok: 1, isWritablePrimary: true })
+    }
+  }
+
+  /**
+   * @return {Promise<Boolean>}
+   * @api private
+   */
+  dropDatabase () {
+    return Promise.all(Array.from(this.store.values()).map((collection) => collection.drop()))
+      .then(() => true)
+  }
+}
+
+class MemoryConnection extends Connection {
+  /**
+   * Connection to a `MemoryDb`, to test code using mubsub without MongoDB.
+   * Channels work like on a standalone server, the default `auto` mode uses a
+   * capped collection and `polling` a normal one.
+   *
+   * @param {Object} [options] options of `Connection`
+   * @api public
+   */
+  constructor (options) {
+    super(new MemoryDb(), options)
+  }
+
+  /**
+   * Get the messages published to a channel, in publish order.
+   *
+   * @param {String} [name] channel name, default is 'mubsub'
+   * @param {String|RegExp} [event] event name or pattern, default is all events
+   * @return {Array} `{ _id, event, message, headers }`
+   * @api public
+   */
+  published (name, event) {
+    const channel = this.channels[name || 'mubsub']
+    const codec = channel ? channel.codec : new Codec()
+    const collection = this.db.store.get(name || 'mubsub')
+    const criteria = event ? query.forEvent(event) : { event: { $exists: true } }
+
+    if (!collection) return []
+
+    return collection.search(criteria).map(function (doc) {
+      return {
+        _id: doc._id,
+        event: doc.event,
+        message: codec.decode(doc),
+        headers: doc._headers || {}
+      }
+    })
+  }
+
+  /**
+   * Remove all messages and stored state (durable positions, queue state,
+   * counters), f.e. between tests. Open channels keep listening.
+   *
+   * @return {MemoryConnection} this
+   * @api public
+   */
+  clear () {
+    this.db.store.forEach((collection) => collection.clear())
+
+    return this
+  }
+}
+
+exports.MemoryDb = MemoryDb
+exports.MemoryConnection = MemoryConnection
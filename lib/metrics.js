@@ -0,0 +1,183 @@
+/**
+ * Upper bounds in ms of the handler latency histogram buckets.
+ *
+ * @api private
+ */
+const BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+class Metrics {
+  /**
+   * Metrics of a channel: messages received and published per event,
+   * handler latencies per subscription, listener recreations and transport
+   * fallbacks.
+   *
+   * @api private
+   */
+  constructor () {
+    this.received = new Map()
+    this.published = new Map()
+    this.latency = new Map()
+    this.recreations = 0
+    this.fallbacks = 0
+    this.last = null
+  }
+
+  /**
+   * Count a document received by the channel listener.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  receive (doc) {
+    const event = doc.event || ''
+    this.received.set(event, (this.received.get(event) || 0) + 1)
+    this.last = { _id: doc._id, ts: timestamp(doc) }
+  }
+
+  /**
+   * Count a published message.
+   *
+   * @param {String} event
+   * @api private
+   */
+  publish (event) {
+    this.published.set(event, (this.published.get(event) || 0) + 1)
+  }
+
+  /**
+   * Record the time a subscription callback took.
+   *
+   * @param {String} event event of the subscription
+   * @param {Number} ms
+   * @api private
+   */
+  observe (event, ms) {
+    let histogram = this.latency.get(event)
+    if (!histogram) {
+      histogram = { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 }
+      this.latency.set(event, histogram)
+    }
+
+    BUCKETS.forEach((bound, i) => {
+      if (ms <= bound) histogram.buckets[i]++
+    })
+    histogram.sum += ms
+    histogram.count++
+  }
+
+  /**
+   * Copy the current values.
+   *
+   * @return {Object}
+   * @api private
+   */
+  snapshot () {
+    const latency = {}
+
+    this.latency.forEach((histogram, event) => {
+      const buckets = {}
+      BUCKETS.forEach((bound, i) => {
+        buckets[bound] = histogram.buckets[i]
+      })
+      latency[event] = { buckets, sum: histogram.sum, count: histogram.count }
+    })
+
+    return {
+      lastDelivered: this.last && Object.assign({}, this.last),
+      received: Object.fromEntries(this.received),
+      published: Object.fromEntries(this.published),
+      latency,
+      recreations: this.recreations,
+      fallbacks: this.fallbacks
+    }
+  }
+}
+
+/**
+ * Get the time a document was published at, from `_ts` or its `_id`.
+ *
+ * @param {Object} doc
+ * @return {Date|null}
+ * @api private
+ */
+function timestamp (doc) {
+  if (doc._ts instanceof Date) return doc._ts
+  if (doc._id && typeof doc._id.getTimestamp === 'function') return doc._id.getTimestamp()
+
+  return null
+}
+
+/**
+ * Escape a Prometheus label value.
+ *
+ * @param {*} value
+ * @return {String}
+ * @api private
+ */
+function label (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Format the stats of channels in the Prometheus text format.
+ *
+ * @param {Array} stats results of `Channel#stats`
+ * @return {String}
+ * @api private
+ */
+function prometheus (stats) {
+  const lines = []
+
+  function metric (name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+    stats.forEach((channel) => {
+      samples(channel).forEach(([suffix, labels, value]) => {
+        const pairs = Object.keys(labels).map((key) => `${key}="${label(labels[key])}"`)
+        lines.push(`${name}${suffix}{${pairs.join(',')}} ${value}`)
+      })
+    })
+  }
+
+  function perEvent (counts, channel) {
+    return Object.keys(counts).map((event) => ['', { channel: channel.channel, event }, counts[event]])
+  }
+
+  metric('mubsub_transport_info', 'gauge', 'Transport used by the channel.', (channel) => {
+    return [['', { channel: channel.channel, transport: channel.transport || '' }, 1]]
+  })
+  metric('mubsub_messages_received_total', 'counter', 'Messages received by the channel listener.', (channel) => {
+    return perEvent(channel.received, channel)
+  })
+  metric('mubsub_messages_published_total', 'counter', 'Messages published to the channel.', (channel) => {
+    return perEvent(channel.published, channel)
+  })
+  metric('mubsub_handler_duration_seconds', 'histogram', 'Time subscription callbacks took.', (channel) => {
+    const samples = []
+    Object.keys(channel.latency).forEach((event) => {
+      const histogram = channel.latency[event]
+      const labels = { channel: channel.channel, event }
+      BUCKETS.forEach((bound) => {
+        samples.push(['_bucket', Object.assign({}, labels, { le: bound / 1000 }), histogram.buckets[bound]])
+      })
+      samples.push(['_bucket', Object.assign({}, labels, { le: '+Inf' }), histogram.count])
+      samples.push(['_sum', labels, histogram.sum / 1000])
+      samples.push(['_count', labels, histogram.count])
+    })
+    return samples
+  })
+  metric('mubsub_lag_seconds', 'gauge', 'Time between the last delivered and the newest document.', (channel) => {
+    return [['', { channel: channel.channel }, channel.lag / 1000]]
+  })
+  metric('mubsub_listener_recreations_total', 'counter', 'Recreations of a broken cursor or change stream.', (channel) => {
+    return [['', { channel: channel.channel }, channel.recreations]]
+  })
+  metric('mubsub_transport_fallbacks_total', 'counter', 'Fallbacks to another transport.', (channel) => {
+    return [['', { channel: channel.channel }, channel.fallbacks]]
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+exports.Metrics = Metrics
+exports.timestamp = timestamp
+exports.prometheus = prometheus
@@ -0,0 +1,189 @@
+const os = require('os')
+const ObjectId = require('mongodb').ObjectId
+const noop = function () {}
+
+class Presence {
+  /**
+   * Presence of a channel. Registers a heartbeat document of this process in
+   * the `<channel>.presence` collection every `interval`, which expires
+   * `ttl` after the last heartbeat, and compares the live members on every
+   * heartbeat to emit 'join' and 'leave' on the channel.
+   *
+   * @param {Channel} channel
+   * @param {Object|Boolean} options
+   *   - `interval` time in ms between heartbeats, default is 10000ms
+   *   - `ttl` time in ms a member is live after its last heartbeat, default is 3 intervals
+   * @api private
+   */
+  constructor (channel, options) {
+    options = typeof options === 'object' ? options : {}
+    this.channel = channel
+    this.interval = options.interval > 0 ? options.interval : 10000
+    this.ttl = options.ttl > 0 ? options.ttl : 3 * this.interval
+    this.id = `${os.hostname()}:${process.pid}:${new ObjectId()}`
+    this.startedAt = new Date()
+    this.members = null
+    this.timer = null
+    this.index = null
+    this.pending = null
+    this.beating = false
+    this.active = false
+  }
+
+  /**
+   * Start the heartbeats once the channel is ready.
+   *
+   * @return {Presence} this
+   * @api private
+   */
+  start () {
+    const self = this
+
+    this.active = true
+    this.channel.ready(function () {
+      if (self.active && !self.timer && !self.beating) self.beat()
+    })
+
+    return this
+  }
+
+  /**
+   * Write the heartbeat, then compare the live members with the previous
+   * ones and schedule the next heartbeat once this one is done, so
+   * heartbeats never overlap.
+   *
+   * @api private
+   */
+  beat () {
+    const self = this
+    const heartbeats = collection(this.channel)
+
+    if (!this.index) {
+      this.index = heartbeats
+        .createIndex({ expireAt: 1 }, { expireAfterSeconds: 0, name: '_mubsub_presence_ttl' })
+        .then(noop)
+      this.index.catch(() => {
+        this.index = null
+      })
+    }
+
+    this.beating = true
+    this.pending = this.index
+      .then(() => heartbeats.updateOne(
+        { _id: this.id },
+        { $set: this.state(), $setOnInsert: { startedAt: this.startedAt } },
+        { upsert: true }
+      ))
+      .then(() => members(this.channel))
+      .then((live) => {
+        if (!this.active) return
+        this.compare(live)
+      })
+      .catch((err) => {
+        if (this.active) this.channel.report(err)
+      })
+      .then(() => {
+        this.beating = false
+        if (!this.active) return
+
+        this.timer = setTimeout(function () {
+          self.beat()
+        }, this.interval)
+        this.timer.unref()
+      })
+  }
+
+  /**
+   * Get the fields of the heartbeat document.
+   *
+   * @return {Object}
+   * @api private
+   */
+  state () {
+    const channel = this.channel
+    const last = channel.metrics.last
+    const now = new Date()
+
+    return {
+      host: os.hostname(),
+      pid: process.pid,
+      events: channel.subscribed(),
+      transport: channel.transport,
+      lastDelivered: last ? last._id : null,
+      updatedAt: now,
+      expireAt: new Date(now.getTime() + this.ttl)
+    }
+  }
+
+  /**
+   * Emit 'join' for new members and 'leave' for members which are gone. The
+   * members found by the first heartbeat are the baseline.
+   *
+   * @param {Array} live
+   * @api private
+   */
+  compare (live) {
+    const previous = this.members
+    this.members = new Map(live.map((member) => [member._id, member]))
+    if (!previous) return
+
+    this.members.forEach((member, id) => {
+      if (!previous.has(id)) this.channel.emit('join', member)
+    })
+    previous.forEach((member, id) => {
+      if (!this.members.has(id)) this.channel.emit('leave', member)
+    })
+  }
+
+  /**
+   * Stop the heartbeats and remove the heartbeat document, so other members
+   * see this one leave right away.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  stop () {
+    this.active = false
+    clearTimeout(this.timer)
+    this.timer = null
+    if (!this.pending) {
+      return Promise.resolve()
+    }
+
+    // Remove the document after a running heartbeat wrote it.
+    return this.pending
+      .then(() => collection(this.channel).deleteOne({ _id: this.id }))
+      .then(noop, noop)
+  }
+}
+
+/**
+ * Get the presence collection of a channel.
+ *
+ * @param {Channel} channel
+ * @return {Collection}
+ * @api private
+ */
+function collection (channel) {
+  return channel.connection.db.collection(`${channel.name}.presence`)
+}
+
+/**
+ * Get the live members of a channel, in the order they started. Expired
+ * heartbeats are skipped, the server removes them only periodically.
+ *
+ * @param {Channel} channel
+ * @return {Promise} Promise of the heartbeat documents
+ * @api private
+ */
+function members (channel) {
+  return channel.connection.connected().then(function () {
+    return collection(channel)
+      .find({ expireAt: { $gt: new Date() } })
+      .sort({ startedAt: 1, _id: 1 })
+      .toArray()
+  })
+}
+
+exports.Presence = Presence
+exports.members = members
@@ -0,0 +1,374 @@
+const mongodb = require('mongodb')
+const utils = require('./utils')
+const EJSON = mongodb.BSON.EJSON
+
+/**
+ * Logical operators which hold a list of queries.
+ *
+ * @api private
+ */
+const LOGICAL = ['$and', '$or', '$nor']
+
+/**
+ * Operators of conditions `matches` supports.
+ *
+ * @api private
+ */
+const OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options', '$not']
+
+/**
+ * Matches the reserved events, see `utils.isReserved`.
+ *
+ * @api private
+ */
+const RESERVED = /^_mubsub\./
+
+/**
+ * Normalize a value for ordering comparisons.
+ *
+ * @param {*} value
+ * @return {*}
+ * @api private
+ */
+function comparable (value) {
+  if (value instanceof mongodb.ObjectId) return value.toHexString()
+  if (value instanceof Date) return value.getTime()
+
+  return value
+}
+
+/**
+ * Compare two values the way the server orders values of the same type.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Number|null} null if the values can't be ordered
+ * @api private
+ */
+function compare (a, b) {
+  a = comparable(a)
+  b = comparable(b)
+  if (typeof a !== typeof b || a === null || b === null || typeof a === 'object') {
+    return null
+  }
+
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Check two values for equality, including ObjectIds, Dates and documents.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean}
+ * @api private
+ */
+function equals (a, b) {
+  if (a === b) return true
+  if (a == null || b == null) return a == null && b == null
+  if (compare(a, b) === 0) return true
+  if (typeof a !== 'object' || typeof b !== 'object') return false
+
+  return EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false })
+}
+
+/**
+ * Resolve a dotted path in a document.
+ *
+ * @param {Object} doc
+ * @param {String} path
+ * @return {*}
+ * @api private
+ */
+function resolve (doc, path) {
+  return path.split('.').reduce(function (value, key) {
+    return value == null ? undefined : value[key]
+  }, doc)
+}
+
+/**
+ * Check a value against a single operator.
+ *
+ * @param {*} value
+ * @param {String} operator
+ * @param {*} operand
+ * @param {Object} condition the whole condition, for `$regex` / `$options`
+ * @return {Boolean}
+ * @api private
+ */
+function test (value, operator, operand, condition) {
+  const values = Array.isArray(value) ? value.concat([value]) : [value]
+  const some = function (fn) {
+    return values.some(fn)
+  }
+
+  switch (operator) {
+    case '$eq':
+      return some((v) => equals(v, operand))
+    case '$ne':
+      return !some((v) => equals(v, operand))
+    case '$gt':
+      return some((v) => compare(v, operand) > 0)
+    case '$gte':
+      return some((v) => compare(v, operand) >= 0)
+    case '$lt':
+      return some((v) => compare(v, operand) < 0)
+    case '$lte':
+      return some((v) => compare(v, operand) <= 0)
+    case '$in':
+      return operand.some((item) => matchValue(value, item))
+    case '$nin':
+      return !operand.some((item) => matchValue(value, item))
+    case '$exists':
+      return (value !== undefined) === Boolean(operand)
+    case '$regex': {
+      const regex = operand instanceof RegExp
+        ? operand
+        : new RegExp(operand, condition.$options || '')
+      return some((v) => typeof v === 'string' && regex.test(v))
+    }
+    case '$options':
+      return true
+    case '$not':
+      return !matchValue(value, operand)
+    default:
+      throw new Error(`Mubsub: unsupported query operator ${operator}.`)
+  }
+}
+
+/**
+ * Check a value against a condition, either an operator document, a RegExp
+ * or a value to compare with.
+ *
+ * @param {*} value
+ * @param {*} condition
+ * @return {Boolean}
+ * @api private
+ */
+function matchValue (value, condition) {
+  if (condition instanceof RegExp) {
+    return test(value, '$regex', condition, {})
+  }
+
+  if (
+    condition &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some((key) => key[0] === '$')
+  ) {
+    return Object.keys(condition).every(function (operator) {
+      return test(value, operator, condition[operator], condition)
+    })
+  }
+
+  if (condition === null) {
+    return value == null
+  }
+
+  return test(value, '$eq', condition, {})
+}
+
+/**
+ * Check whether a document matches a query. Supports the comparison,
+ * `$in`, `$nin`, `$exists`, `$regex`, `$not` and logical operators.
+ *
+ * @param {Object} doc
+ * @param {Object} query
+ * @return {Boolean}
+ * @api private
+ */
+exports.matches = function matches (doc, query) {
+  return Object.keys(query || {}).every(function (key) {
+    const condition = query[key]
+
+    switch (key) {
+      case '$and':
+        return condition.every((q) => matches(doc, q))
+      case '$or':
+        return condition.some((q) => matches(doc, q))
+      case '$nor':
+        return !condition.some((q) => matches(doc, q))
+    }
+    if (key[0] === '$') {
+      throw new Error(`Mubsub: unsupported query operator ${key}.`)
+    }
+
+    return matchValue(resolve(doc, key), condition)
+  })
+}
+
+/**
+ * Check that a query only uses the operators `matches` supports, so
+ * unsupported ones fail right away instead of when a document is matched.
+ *
+ * @param {Object} query
+ * @return {Object} query
+ * @api private
+ */
+exports.validate = function validate (query) {
+  Object.keys(query || {}).forEach(function (key) {
+    const condition = query[key]
+
+    if (LOGICAL.includes(key)) {
+      if (!Array.isArray(condition)) {
+        throw new Error(`Mubsub: ${key} must be an array of queries.`)
+      }
+      return condition.forEach(validate)
+    }
+    if (key[0] === '$') {
+      throw new Error(`Mubsub: unsupported query operator ${key}.`)
+    }
+
+    validateCondition(condition)
+  })
+
+  return query
+}
+
+/**
+ * Check the operators of a condition.
+ *
+ * @param {*} condition
+ * @api private
+ */
+function validateCondition (condition) {
+  if (
+    !condition ||
+    typeof condition !== 'object' ||
+    Array.isArray(condition) ||
+    !Object.keys(condition).some((key) => key[0] === '$')
+  ) {
+    return
+  }
+
+  Object.keys(condition).forEach(function (operator) {
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Mubsub: unsupported query operator ${operator}.`)
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(condition[operator])) {
+      throw new Error(`Mubsub: ${operator} needs an array.`)
+    }
+    if (operator === '$not') {
+      validateCondition(condition.$not)
+    }
+  })
+}
+
+/**
+ * Prefix every field of a query with a path, f.e. to turn a query on the
+ * message into a query on the document.
+ *
+ * @param {Object} query
+ * @param {String} path
+ * @return {Object}
+ * @api private
+ */
+exports.prefix = function prefix (query, path) {
+  const prefixed = {}
+
+  Object.keys(query || {}).forEach(function (key) {
+    if (LOGICAL.includes(key)) {
+      prefixed[key] = query[key].map((q) => prefix(q, path))
+    } else if (key[0] === '$') {
+      throw new Error(`Mubsub: unsupported query operator ${key}.`)
+    } else {
+      prefixed[`${path}.${key}`] = query[key]
+    }
+  })
+
+  return prefixed
+}
+
+/**
+ * Build the query for the documents of an event, an event pattern or all
+ * events ('message'). Patterns and 'message' don't match reserved events.
+ *
+ * @param {String|RegExp} event
+ * @return {Object}
+ * @api private
+ */
+exports.forEvent = function (event) {
+  const pattern = utils.eventPattern(event)
+
+  if (pattern) {
+    return { event: { $regex: pattern, $not: RESERVED } }
+  }
+
+  return { event: event === 'message' ? { $exists: true, $not: RESERVED } : event }
+}
+
+/**
+ * Build the query for the documents stored between two positions, by `_id`.
+ * The `_id` only holds seconds, so Dates are compared with the publish time
+ * `_ts` as well.
+ *
+ * @param {String|Date|ObjectId} [from] 'earliest', or the first
+ *   document (inclusive) or time, default is 'earliest'
+ * @param {Date|ObjectId} [to] last document (inclusive) or time
+ * @return {Object}
+ * @api private
+ */
+exports.range = function (from, to) {
+  const criteria = {}
+  const id = {}
+  const ts = {}
+
+  function invalid (position) {
+    return !(position instanceof mongodb.ObjectId) &&
+      !(position instanceof Date && !isNaN(position.getTime()))
+  }
+
+  if (from != null && from !== 'earliest') {
+    if (invalid(from)) {
+      throw new Error('Mubsub: from must be "earliest", a Date or an ObjectId.')
+    }
+    if (from instanceof Date) {
+      id.$gte = mongodb.ObjectId.createFromTime(Math.floor(from.getTime() / 1000))
+      ts.$gte = from
+    } else {
+      id.$gte = from
+    }
+  }
+
+  if (to != null) {
+    if (invalid(to)) {
+      throw new Error('Mubsub: to must be a Date or an ObjectId.')
+    }
+    if (to instanceof Date) {
+      id.$lt = mongodb.ObjectId.createFromTime(Math.floor(to.getTime() / 1000) + 1)
+      ts.$lte = to
+    } else {
+      id.$lte = to
+    }
+  }
+
+  if (Object.keys(id).length) criteria._id = id
+  if (Object.keys(ts).length) criteria._ts = ts
+
+  return criteria
+}
+
+/**
+ * Build the query for the documents which are due, not delayed or delayed
+ * until now.
+ *
+ * @return {Object}
+ * @api private
+ */
+exports.due = function () {
+  return { $or: [{ _deliverAt: { $exists: false } }, { _deliverAt: { $lte: new Date() } }] }
+}
+
+/**
+ * Check two queries for equality.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Boolean}
+ * @api private
+ */
+exports.equals = function (a, b) {
+  return EJSON.stringify(a || {}, { relaxed: false }) === EJSON.stringify(b || {}, { relaxed: false })
+}
+
+exports.compare = compare
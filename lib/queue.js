@@ -0,0 +1,364 @@
+const ObjectId = require('mongodb').ObjectId
+const query = require('./query')
+const utils = require('./utils')
+const ValidationError = require('./schema').ValidationError
+const noop = function () {}
+
+class QueueConsumer {
+  /**
+   * Queue consumer constructor. Every matching document of the channel
+   * collection is claimed by exactly one consumer, across all processes,
+   * using `findOneAndUpdate`. Queue state is kept on the document itself, so
+   * the channel must use a normal (polling or change stream) collection.
+   *
+   * @param {Channel} channel
+   * @param {String} event event name, 'message' for all events
+   * @param {Function} handler called with the message, may return a Promise
+   * @param {Object} [options]
+   *   - `concurrency` max amount of messages handled at once, default is 1
+   *   - `visibilityTimeout` time in ms a claimed message is hidden from other
+   *     consumers before it is redelivered, default is 30000ms
+   *   - `maxAttempts` attempts before a message is dead-lettered, default is 5
+   *   - `retryDelay` time in ms before a failed message is redelivered, default is 0
+   * @api private
+   */
+  constructor (channel, event, handler, options) {
+    options || (options = {})
+    this.options = {
+      concurrency:
+        options.concurrency > 0 ? Math.floor(options.concurrency) : 1,
+      visibilityTimeout:
+        typeof options.visibilityTimeout === 'number' ? options.visibilityTimeout : 30000,
+      maxAttempts:
+        options.maxAttempts > 0 ? Math.floor(options.maxAttempts) : 5,
+      retryDelay:
+        typeof options.retryDelay === 'number' ? options.retryDelay : 0
+    }
+
+    this.channel = channel
+    this.event = event
+    this.pattern = utils.eventPattern(event)
+    this.handler = handler
+    this.collection = null
+    this.active = true
+    this.running = 0
+    this.idlers = []
+    this.timer = null
+    this.unselect = null
+    this.onDocument = this.onDocument.bind(this)
+  }
+
+  /**
+   * Start consuming once the channel is ready.
+   *
+   * @return {QueueConsumer} this
+   * @api private
+   */
+  start () {
+    const self = this
+    const channel = this.channel
+
+    this.unselect = channel.select(query.forEvent(this.event))
+    channel.on('document', this.onDocument)
+    channel.consumers.add(this)
+    channel.ready(function (collection) {
+      if (!self.active || self.collection) return
+
+      if (channel.transport === 'capped') {
+        self.unsubscribe()
+        channel.emit('error', new Error('Mubsub: queue requires a polling or change stream channel, capped documents cannot be updated.'))
+        return
+      }
+
+      self.collection = collection
+      collection
+        .createIndex(
+          { event: 1, _ackedAt: 1, _lockedUntil: 1, _id: 1 },
+          { name: '_mubsub_queue' }
+        )
+        .then(() => self.fill())
+        .catch((err) => {
+          channel.emit('error', err)
+        })
+    })
+
+    return this
+  }
+
+  /**
+   * Stop claiming messages. Messages which are already being handled are
+   * still acknowledged.
+   *
+   * @return {QueueConsumer} this
+   * @api private
+   */
+  unsubscribe () {
+    this.active = false
+    this.channel.removeListener('document', this.onDocument)
+    this.channel.consumers.delete(this)
+    this.unselect()
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+
+    return this
+  }
+
+  /**
+   * Wait until the messages being handled are acknowledged or released.
+   *
+   * @return {Promise}
+   * @api private
+   */
+  idle () {
+    if (!this.running) {
+      return Promise.resolve()
+    }
+
+    return new Promise((resolve) => this.idlers.push(resolve))
+  }
+
+  /**
+   * Stop claiming messages, when the channel closes.
+   *
+   * @return {QueueConsumer} this
+   * @api private
+   */
+  close () {
+    return this.unsubscribe()
+  }
+
+  /**
+   * Count a finished worker and notify the waiters once none is left.
+   *
+   * @api private
+   */
+  release () {
+    this.running--
+    if (!this.running) {
+      this.idlers.splice(0).forEach((resolve) => resolve())
+    }
+  }
+
+  /**
+   * Wake idle workers when a matching document is published.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  onDocument (doc) {
+    if (this.matches(doc.event)) {
+      this.fill()
+    }
+  }
+
+  /**
+   * Check whether the consumer claims messages of an event.
+   *
+   * @param {String} event
+   * @return {Boolean}
+   * @api private
+   */
+  matches (event) {
+    if (!event) return false
+    if (event === this.event) return true
+    if (utils.isReserved(event)) return false
+
+    return this.event === 'message' || (!!this.pattern && this.pattern.test(event))
+  }
+
+  /**
+   * Start workers until the concurrency limit is reached.
+   *
+   * @api private
+   */
+  fill () {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+
+    while (this.isActive() && this.collection && this.running < this.options.concurrency) {
+      this.running++
+      this.work()
+    }
+  }
+
+  /**
+   * Check whether the consumer may claim messages, its channel and
+   * connection aren't closing.
+   *
+   * @return {Boolean}
+   * @api private
+   */
+  isActive () {
+    const channel = this.channel
+
+    return this.active && !channel.closing && !channel.connection.closing
+  }
+
+  /**
+   * Retry after the poll interval if no message is available, so expired
+   * claims of other consumers are picked up as well.
+   *
+   * @api private
+   */
+  schedule () {
+    if (!this.isActive() || this.timer) return
+
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.fill()
+    }, this.channel.options.pollInterval)
+  }
+
+  /**
+   * Claim and handle messages until there is none left.
+   *
+   * @api private
+   */
+  work () {
+    const self = this
+
+    this.claim()
+      .then((doc) => {
+        if (!doc) {
+          self.release()
+          self.schedule()
+          return
+        }
+
+        return self.process(doc).then(() => {
+          self.release()
+          self.fill()
+        })
+      })
+      .catch((err) => {
+        self.release()
+        self.schedule()
+        if (self.isActive()) {
+          self.channel.emit('error', err)
+        }
+      })
+  }
+
+  /**
+   * Atomically claim the oldest visible message.
+   *
+   * @return {Promise} Promise of the claimed document or null
+   * @api private
+   */
+  claim () {
+    if (!this.isActive()) {
+      return Promise.resolve(null)
+    }
+
+    const now = new Date()
+
+    return this.collection.findOneAndUpdate(
+      {
+        event: query.forEvent(this.event).event,
+        _ackedAt: { $exists: false },
+        $and: [
+          { $or: [{ _lockedUntil: { $exists: false } }, { _lockedUntil: { $lte: now } }] },
+          { $or: [{ _deliverAt: { $exists: false } }, { _deliverAt: { $lte: now } }] },
+          { $or: [{ _expireAt: { $exists: false } }, { _expireAt: { $gt: now } }] }
+        ]
+      },
+      {
+        $set: {
+          _claim: new ObjectId(),
+          _lockedUntil: new Date(now.getTime() + this.options.visibilityTimeout)
+        },
+        $inc: { _attempts: 1 }
+      },
+      { sort: { _id: 1 }, returnDocument: 'after' }
+    )
+  }
+
+  /**
+   * Run the handler and acknowledge, release or dead-letter the message.
+   *
+   * @param {Object} doc claimed document
+   * @return {Promise}
+   * @api private
+   */
+  process (doc) {
+    const self = this
+    const channel = this.channel
+    let result
+
+    try {
+      channel.validate(channel.decode(doc))
+      result = channel.tracing
+        ? channel.tracing.process(doc, () => this.handler.call(channel, doc.message))
+        : Promise.resolve(this.handler.call(channel, doc.message))
+    } catch (err) {
+      result = Promise.reject(err)
+    }
+
+    return result.then(
+      () => self.ack(doc),
+      (err) => self.fail(doc, err)
+    )
+  }
+
+  /**
+   * Acknowledge a message. Does nothing if the claim has expired meanwhile.
+   *
+   * @param {Object} doc
+   * @return {Promise}
+   * @api private
+   */
+  ack (doc) {
+    return this.collection
+      .updateOne(
+        { _id: doc._id, _claim: doc._claim },
+        { $set: { _ackedAt: new Date() }, $unset: { _lockedUntil: '', _claim: '' } }
+      )
+      .then(noop)
+  }
+
+  /**
+   * Release a failed message for redelivery, or move it to the
+   * `<channel>.dlq` collection once it has used up its attempts. Invalid
+   * messages are dead-lettered right away.
+   *
+   * @param {Object} doc
+   * @param {Error} err
+   * @return {Promise}
+   * @api private
+   */
+  fail (doc, err) {
+    const self = this
+    const now = new Date()
+
+    if (doc._attempts < this.options.maxAttempts && !(err instanceof ValidationError)) {
+      return this.collection
+        .updateOne(
+          { _id: doc._id, _claim: doc._claim },
+          {
+            $set: { _lockedUntil: new Date(now.getTime() + this.options.retryDelay) },
+            $unset: { _claim: '' }
+          }
+        )
+        .then(noop)
+    }
+
+    return this.channel
+      .deadLetter([doc], err, doc._attempts)
+      .then(() => {
+        return self.collection.updateOne(
+          { _id: doc._id, _claim: doc._claim },
+          {
+            $set: { _ackedAt: now, _deadLettered: true },
+            $unset: { _lockedUntil: '', _claim: '' }
+          }
+        )
+      })
+      .then(noop)
+  }
+}
+
+module.exports = QueueConsumer
@@ -0,0 +1,224 @@
+const ObjectId = require('mongodb').ObjectId
+const utils = require('./utils')
+
+/**
+ * Event replies are published with.
+ *
+ * @api private
+ */
+const REPLY_EVENT = `${utils.RESERVED}reply`
+
+/**
+ * Prefix of the event requests are published with, followed by the event
+ * the responders answer.
+ *
+ * @api private
+ */
+const REQUEST_PREFIX = `${utils.RESERVED}request.`
+
+class Requester {
+  /**
+   * Requester constructor. Keeps track of the pending requests of a channel
+   * and settles them when the reply with the same correlation id arrives.
+   *
+   * @param {Channel} channel
+   * @api private
+   */
+  constructor (channel) {
+    this.channel = channel
+    this.pending = new Map()
+    this.onDocument = this.onDocument.bind(this)
+    channel.select({ event: REPLY_EVENT })
+    channel.on('document', this.onDocument)
+  }
+
+  /**
+   * Publish a request and wait for its reply.
+   *
+   * @param {String} event
+   * @param {Object} [message]
+   * @param {Object} [options]
+   *   - `timeout` time in ms to wait for the reply, default is 10000ms
+   *   - `signal` AbortSignal which rejects the request with an AbortError
+   * @return {Promise} Promise of the reply message
+   * @api private
+   */
+  request (event, message, options) {
+    const self = this
+    const timeout = typeof options.timeout === 'number' ? options.timeout : 10000
+    const signal = options.signal
+    const correlationId = new ObjectId().toHexString()
+
+    return new Promise(function (resolve, reject) {
+      function onAbort () {
+        settle(utils.abortError(signal))
+      }
+
+      function settle (err, reply) {
+        if (!self.pending.has(correlationId)) return
+        self.pending.delete(correlationId)
+        clearTimeout(timer)
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        err ? reject(err) : resolve(reply)
+      }
+
+      const timer = setTimeout(function () {
+        const err = new Error(`Mubsub: request "${event}" timed out after ${timeout}ms.`)
+        err.code = 'ETIMEDOUT'
+        settle(err)
+      }, timeout)
+
+      self.pending.set(correlationId, settle)
+
+      if (signal) {
+        if (signal.aborted) return onAbort()
+        signal.addEventListener('abort', onAbort, { once: true })
+      }
+
+      self.channel.insert({
+        event: REQUEST_PREFIX + event,
+        message,
+        _replyTo: REPLY_EVENT,
+        _correlationId: correlationId
+      }, function (err) {
+        if (err) settle(err)
+      })
+    })
+  }
+
+  /**
+   * Settle the pending request a reply belongs to. Replies of requests which
+   * timed out, were aborted or already answered are ignored.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  onDocument (doc) {
+    if (doc.event !== REPLY_EVENT || !this.pending.has(doc._correlationId)) {
+      return
+    }
+
+    const settle = this.pending.get(doc._correlationId)
+    if (doc.error) {
+      const err = new Error(doc.error.message)
+      err.name = doc.error.name || 'Error'
+      if (doc.error.code != null) err.code = doc.error.code
+      err.remote = true
+      settle(err)
+    } else {
+      settle(null, doc.message)
+    }
+  }
+
+  /**
+   * Reject the pending requests when the channel closes, their replies can't
+   * arrive anymore.
+   *
+   * @return {Requester} this
+   * @api private
+   */
+  close () {
+    this.channel.removeListener('document', this.onDocument)
+    Array.from(this.pending.values()).forEach((settle) => {
+      settle(new Error('Mubsub: channel is closed.'))
+    })
+
+    return this
+  }
+}
+
+class Responder {
+  /**
+   * Responder constructor. Answers every request for an event with the
+   * result of the handler, or with the error it threw or rejected with.
+   *
+   * @param {Channel} channel
+   * @param {String} event
+   * @param {Function} handler called with the request message, may return a Promise
+   * @api private
+   */
+  constructor (channel, event, handler) {
+    this.channel = channel
+    this.event = event
+    this.requests = REQUEST_PREFIX + event
+    this.handler = handler
+    this.unselect = null
+    this.onDocument = this.onDocument.bind(this)
+  }
+
+  /**
+   * Start answering requests.
+   *
+   * @return {Responder} this
+   * @api private
+   */
+  start () {
+    this.unselect = this.channel.select({ event: this.requests })
+    this.channel.on('document', this.onDocument)
+
+    return this
+  }
+
+  /**
+   * Stop answering requests.
+   *
+   * @return {Responder} this
+   * @api private
+   */
+  unsubscribe () {
+    this.channel.removeListener('document', this.onDocument)
+    this.unselect()
+
+    return this
+  }
+
+  /**
+   * Run the handler for a request and publish the reply.
+   *
+   * @param {Object} doc
+   * @api private
+   */
+  onDocument (doc) {
+    if (doc.event !== this.requests || !doc._replyTo || !doc._correlationId) {
+      return
+    }
+
+    const channel = this.channel
+    let result
+
+    try {
+      result = channel.tracing
+        ? channel.tracing.process(doc, () => this.handler.call(channel, doc.message))
+        : Promise.resolve(this.handler.call(channel, doc.message))
+    } catch (err) {
+      result = Promise.reject(err)
+    }
+
+    result
+      .then((message) => {
+        return { event: doc._replyTo, message }
+      }, (err) => {
+        return {
+          event: doc._replyTo,
+          error: {
+            name: err && err.name,
+            message: err && err.message !== undefined ? err.message : String(err),
+            code: err && err.code
+          }
+        }
+      })
+      .then((reply) => {
+        reply._correlationId = doc._correlationId
+        channel.insert(reply, function (err) {
+          if (err) channel.emit('error', err)
+        })
+      })
+  }
+}
+
+exports.REPLY_EVENT = REPLY_EVENT
+exports.REQUEST_PREFIX = REQUEST_PREFIX
+exports.Requester = Requester
+exports.Responder = Responder
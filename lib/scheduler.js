@@ -0,0 +1,186 @@
+/**
+ * Max delay of a timer, longer delays fire immediately.
+ *
+ * @api private
+ */
+const MAX_TIMEOUT = 2147483647
+
+/**
+ * Time in ms ids of delivered documents are remembered after their due time,
+ * so a document seen by the listener and by `load` is delivered only once.
+ *
+ * @api private
+ */
+const DELIVERED_TTL = 60000
+
+class Scheduler {
+  /**
+   * Scheduler constructor. Holds back documents published with a due time
+   * (`_deliverAt`) until they are due and then dispatches them in due time
+   * order. Pending documents are kept in memory, `load` fetches the ones
+   * published before the listener started, f.e. before a restart.
+   *
+   * @param {Channel} channel
+   * @api private
+   */
+  constructor (channel) {
+    this.channel = channel
+    this.pending = []
+    this.ids = new Set()
+    this.delivered = new Map()
+    this.timer = null
+  }
+
+  /**
+   * Hold back a document which is not due yet. Documents which are already
+   * pending or were delivered are dropped.
+   *
+   * @param {Object} doc
+   * @return {Boolean} true if the document must not be dispatched now
+   * @api private
+   */
+  defer (doc) {
+    if (!doc._deliverAt) return false
+
+    const id = String(doc._id)
+    if (this.ids.has(id) || this.delivered.has(id)) return true
+
+    const now = Date.now()
+    if (doc._deliverAt.getTime() <= now) {
+      this.prune(now)
+      this.delivered.set(id, doc._deliverAt.getTime())
+      return false
+    }
+
+    // Keep pending documents sorted by due time, then by _id.
+    let i = this.pending.length
+    while (i > 0 && compare(this.pending[i - 1], doc) > 0) i--
+    this.pending.splice(i, 0, doc)
+    this.ids.add(id)
+    this.schedule()
+
+    return true
+  }
+
+  /**
+   * Fetch the documents which are not due yet and were published up to the
+   * document the listener started from.
+   *
+   * @param {Collection} collection
+   * @param {Object} [latest] document the listener started from, all pending
+   *   documents are fetched if not passed
+   * @return {Scheduler} this
+   * @api private
+   */
+  load (collection, latest) {
+    const channel = this.channel
+    const criteria = { _deliverAt: { $gt: new Date() } }
+
+    if (latest && latest._id) {
+      criteria._id = { $lte: latest._id }
+    }
+
+    collection
+      .find(channel.withSelector(criteria))
+      .sort({ _deliverAt: 1, _id: 1 })
+      .toArray()
+      .then((docs) => {
+        if (channel.closed || channel.connection.destroyed) return
+
+        docs.forEach((doc) => {
+          channel.dispatch(doc)
+        })
+      })
+      .catch((err) => {
+        channel.emit('error', err)
+      })
+
+    return this
+  }
+
+  /**
+   * Set the timer for the next pending document.
+   *
+   * @api private
+   */
+  schedule () {
+    clearTimeout(this.timer)
+    this.timer = null
+    if (!this.pending.length) return
+
+    const delay = this.pending[0]._deliverAt.getTime() - Date.now()
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.flush()
+    }, Math.min(Math.max(delay, 0), MAX_TIMEOUT))
+  }
+
+  /**
+   * Dispatch every pending document which is due.
+   *
+   * @api private
+   */
+  flush () {
+    const channel = this.channel
+    const now = Date.now()
+
+    if (channel.closed || channel.connection.destroyed) return
+
+    while (this.pending.length && this.pending[0]._deliverAt.getTime() <= now) {
+      const doc = this.pending.shift()
+      this.ids.delete(String(doc._id))
+      channel.dispatch(doc)
+    }
+
+    this.schedule()
+  }
+
+  /**
+   * Forget delivered documents which are long past their due time. They are
+   * remembered in the order they were delivered, which is about due order.
+   *
+   * @param {Number} now
+   * @api private
+   */
+  prune (now) {
+    for (const [id, deliverAt] of this.delivered) {
+      if (deliverAt >= now - DELIVERED_TTL) break
+      this.delivered.delete(id)
+    }
+  }
+
+  /**
+   * Stop the timer and drop pending documents.
+   *
+   * @return {Scheduler} this
+   * @api private
+   */
+  close () {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.pending = []
+    this.ids.clear()
+
+    return this
+  }
+}
+
+/**
+ * Order documents by due time, then by _id.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Number}
+ * @api private
+ */
+function compare (a, b) {
+  const diff = a._deliverAt.getTime() - b._deliverAt.getTime()
+  if (diff) return diff
+
+  const idA = String(a._id)
+  const idB = String(b._id)
+
+  return idA < idB ? -1 : idA > idB ? 1 : 0
+}
+
+module.exports = Scheduler
@@ -0,0 +1,401 @@
+const mongodb = require('mongodb')
+
+class ValidationError extends Error {
+  /**
+   * Error for messages which don't match the schema of their event.
+   *
+   * @param {String} event
+   * @param {Array} errors list of error messages
+   * @api public
+   */
+  constructor (event, errors) {
+    super(`Mubsub: invalid message for event "${event}": ${errors.join(', ')}.`)
+    this.name = 'ValidationError'
+    this.event = event
+    this.errors = errors
+  }
+}
+
+/**
+ * JSON Schema types and MongoDB BSON types `isType` supports.
+ *
+ * @api private
+ */
+const TYPES = [
+  'null', 'boolean', 'bool', 'string', 'number', 'double', 'integer', 'int',
+  'long', 'array', 'date', 'objectId', 'object'
+]
+
+/**
+ * Check a value against a JSON Schema `type` or MongoDB `bsonType`.
+ *
+ * @param {*} value
+ * @param {String} type
+ * @return {Boolean}
+ * @api private
+ */
+function isType (value, type) {
+  switch (type) {
+    case 'null':
+      return value === null
+    case 'boolean':
+    case 'bool':
+      return typeof value === 'boolean'
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+    case 'double':
+      return typeof value === 'number' && isFinite(value)
+    case 'integer':
+    case 'int':
+    case 'long':
+      return Number.isInteger(value) || typeof value === 'bigint' || value instanceof mongodb.Long
+    case 'array':
+      return Array.isArray(value)
+    case 'date':
+      return value instanceof Date
+    case 'objectId':
+      return value instanceof mongodb.ObjectId
+    case 'object':
+      return (
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        !(value instanceof Date) &&
+        !(value instanceof mongodb.ObjectId)
+      )
+    default:
+      return false
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the commonly used subset:
+ * `type` / `bsonType`, `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `minLength`,
+ * `maxLength`, `pattern`, `minimum`, `maximum`, `exclusiveMinimum`,
+ * `exclusiveMaximum`, `allOf`, `anyOf`, `oneOf` and `not`.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} [path] path of the value for error messages
+ * @return {Array} error messages, empty if valid
+ * @api private
+ */
+function validate (schema, value, path) {
+  path || (path = 'message')
+  const errors = []
+  const error = function (text) {
+    errors.push(`${path} ${text}`)
+  }
+
+  const types = [].concat(schema.type || schema.bsonType || [])
+  if (types.length && !types.some((type) => isType(value, type))) {
+    error(`must be of type ${types.join(' or ')}`)
+    return errors
+  }
+
+  if (schema.enum && !schema.enum.some((item) => equals(item, value))) {
+    error(`must be one of ${JSON.stringify(schema.enum)}`)
+  }
+  if ('const' in schema && !equals(schema.const, value)) {
+    error(`must be ${JSON.stringify(schema.const)}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(`must have at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`must have at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      error(`must match ${schema.pattern}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be >= ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be <= ${schema.maximum}`)
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      error(`must be > ${schema.exclusiveMinimum}`)
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      error(`must be < ${schema.exclusiveMaximum}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} items`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error(`must have at most ${schema.maxItems} items`)
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach(function (item, i) {
+        errors.push(...validate(schema.items, item, `${path}[${i}]`))
+      })
+    }
+  }
+
+  if (isType(value, 'object')) {
+    const properties = schema.properties || {}
+
+    ;(schema.required || []).forEach(function (key) {
+      if (value[key] === undefined) {
+        error(`must have property ${key}`)
+      }
+    })
+
+    Object.keys(value).forEach(function (key) {
+      if (value[key] === undefined) return
+
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value[key], `${path}.${key}`))
+      } else if (schema.additionalProperties === false) {
+        error(`must not have property ${key}`)
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], `${path}.${key}`))
+      }
+    })
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(function (sub) {
+      errors.push(...validate(sub, value, path))
+    })
+  }
+  if (schema.anyOf && !schema.anyOf.some((sub) => !validate(sub, value, path).length)) {
+    error('must match a schema in anyOf')
+  }
+  if (schema.oneOf && schema.oneOf.filter((sub) => !validate(sub, value, path).length).length !== 1) {
+    error('must match exactly one schema in oneOf')
+  }
+  if (schema.not && !validate(schema.not, value, path).length) {
+    error('must not match the schema in not')
+  }
+
+  return errors
+}
+
+/**
+ * Compare two JSON values.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean}
+ * @api private
+ */
+function equals (a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Keywords `validate` supports, `title` and `description` are annotations.
+ *
+ * @api private
+ */
+const KEYWORDS = [
+  'type', 'bsonType', 'enum', 'const', 'properties', 'required',
+  'additionalProperties', 'items', 'minItems', 'maxItems', 'minLength',
+  'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'allOf', 'anyOf', 'oneOf', 'not', 'title', 'description'
+]
+
+/**
+ * BSON types of the JSON Schema types, the server has no `integer` type.
+ *
+ * @api private
+ */
+const BSON_TYPES = {
+  null: ['null'],
+  boolean: ['bool'],
+  string: ['string'],
+  number: ['number'],
+  integer: ['int', 'long'],
+  array: ['array'],
+  object: ['object']
+}
+
+/**
+ * Get the subschemas of a JSON Schema.
+ *
+ * @param {Object} schema
+ * @return {Array}
+ * @api private
+ */
+function subschemas (schema) {
+  const properties = schema.properties || {}
+
+  return Object.keys(properties).map((key) => properties[key])
+    .concat(schema.items || [])
+    .concat(isType(schema.additionalProperties, 'object') ? schema.additionalProperties : [])
+    .concat(schema.allOf || [], schema.anyOf || [], schema.oneOf || [])
+    .concat(schema.not || [])
+}
+
+/**
+ * Check that a JSON Schema only uses keywords `validate` supports, so no
+ * part of it is silently ignored.
+ *
+ * @param {String} event
+ * @param {Object} schema
+ * @api private
+ */
+function check (event, schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Mubsub: schema for event "${event}" must be a JSON Schema or a function.`)
+  }
+
+  Object.keys(schema).forEach(function (keyword) {
+    if (!KEYWORDS.includes(keyword)) {
+      throw new Error(`Mubsub: schema for event "${event}" uses the unsupported keyword "${keyword}".`)
+    }
+  })
+  ;[].concat(schema.type || [], schema.bsonType || []).forEach(function (type) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Mubsub: schema for event "${event}" uses the unsupported type "${type}".`)
+    }
+  })
+  if (Array.isArray(schema.items)) {
+    throw new Error(`Mubsub: schema for event "${event}" must use a schema as items.`)
+  }
+
+  subschemas(schema).forEach((sub) => check(event, sub))
+}
+
+/**
+ * Translate a JSON Schema to the `$jsonSchema` dialect of the server, which
+ * has no `integer` type and no `const`, and only knows the boolean form of
+ * `exclusiveMinimum` and `exclusiveMaximum`.
+ *
+ * @param {Object} schema
+ * @return {Object}
+ * @api private
+ */
+function serverSchema (schema) {
+  const result = Object.assign({}, schema)
+  const types = [].concat(schema.type || [])
+
+  if (types.includes('integer')) {
+    delete result.type
+    result.bsonType = [].concat(...types.map((type) => BSON_TYPES[type] || type))
+  }
+
+  if ('const' in schema) {
+    delete result.const
+    if (schema.enum) {
+      result.allOf = (result.allOf || []).concat({ enum: [schema.const] })
+    } else {
+      result.enum = [schema.const]
+    }
+  }
+
+  if (typeof schema.exclusiveMinimum === 'number') {
+    delete result.exclusiveMinimum
+    if (!(schema.minimum > schema.exclusiveMinimum)) {
+      result.minimum = schema.exclusiveMinimum
+      result.exclusiveMinimum = true
+    }
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    delete result.exclusiveMaximum
+    if (!(schema.maximum < schema.exclusiveMaximum)) {
+      result.maximum = schema.exclusiveMaximum
+      result.exclusiveMaximum = true
+    }
+  }
+
+  if (schema.properties) {
+    result.properties = {}
+    Object.keys(schema.properties).forEach((key) => {
+      result.properties[key] = serverSchema(schema.properties[key])
+    })
+  }
+  ;['items', 'not'].forEach((keyword) => {
+    if (schema[keyword]) result[keyword] = serverSchema(schema[keyword])
+  })
+  if (isType(schema.additionalProperties, 'object')) {
+    result.additionalProperties = serverSchema(schema.additionalProperties)
+  }
+  ;['allOf', 'anyOf', 'oneOf'].forEach((keyword) => {
+    if (result[keyword]) result[keyword] = result[keyword].map(serverSchema)
+  })
+
+  return result
+}
+
+/**
+ * Create a validator for an event from a JSON Schema or a function. A
+ * validator function returns false or throws if the message is invalid.
+ *
+ * @param {String} event
+ * @param {Object|Function} schema
+ * @return {Function} function which throws a ValidationError for invalid messages
+ * @api private
+ */
+exports.compile = function (event, schema) {
+  if (typeof schema === 'function') {
+    return function (message) {
+      let valid
+      try {
+        valid = schema(message)
+      } catch (err) {
+        throw new ValidationError(event, [err.message])
+      }
+      if (valid === false) {
+        throw new ValidationError(event, ['rejected by validator'])
+      }
+    }
+  }
+
+  check(event, schema)
+
+  return function (message) {
+    const errors = validate(schema, message)
+    if (errors.length) {
+      throw new ValidationError(event, errors)
+    }
+  }
+}
+
+/**
+ * Build a `$jsonSchema` collection validator for JSON Schemas of events,
+ * translated to the dialect of the server. Documents of other events, and
+ * documents without event, are not restricted.
+ *
+ * @param {Object} schemas JSON Schemas by event name
+ * @return {Object|null} validator or null if there is no JSON Schema
+ * @api private
+ */
+exports.collectionValidator = function (schemas) {
+  const events = Object.keys(schemas || {}).filter((event) => {
+    return schemas[event] && typeof schemas[event] === 'object'
+  })
+
+  if (!events.length) {
+    return null
+  }
+
+  return {
+    $or: [{ event: { $nin: events } }].concat(events.map((event) => ({
+      $and: [
+        { event },
+        {
+          $jsonSchema: {
+            bsonType: 'object',
+            required: ['message'],
+            properties: { message: serverSchema(schemas[event]) }
+          }
+        }
+      ]
+    })))
+  }
+}
+
+exports.ValidationError = ValidationError
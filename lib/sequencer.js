@@ -0,0 +1,149 @@
+/**
+ * Time in ms the state of a key without pending messages is kept after its
+ * last message.
+ *
+ * @api private
+ */
+const KEY_TTL = 600000
+
+class Sequencer {
+  /**
+   * Sequencer constructor. Passes the messages of an event and key to the
+   * handler in sequence (`_seq`), one at a time, holding back messages which
+   * arrive early for up to `reorderWindow` ms. If the missing messages don't
+   * arrive in time they are skipped and 'sequenceGap' is emitted on the
+   * channel.
+   * Messages without key are passed right away.
+   *
+   * @param {Handler} handler
+   * @param {Object} [options]
+   *   - `reorderWindow` time in ms to wait for missing messages, default is 500ms
+   * @api private
+   */
+  constructor (handler, options) {
+    options || (options = {})
+    this.handler = handler
+    this.window = typeof options.reorderWindow === 'number' ? options.reorderWindow : 500
+    this.keys = new Map()
+    this.swept = Date.now()
+  }
+
+  /**
+   * Pass a message to the handler once it is in sequence.
+   *
+   * @param {Array} args arguments for the callback
+   * @param {Object} doc
+   * @api private
+   */
+  push (args, doc) {
+    if (!doc || Array.isArray(doc) || doc._key == null || typeof doc._seq !== 'number') {
+      return this.handler.push(args, doc)
+    }
+
+    // Patterns match several events, each numbers its keys on its own.
+    const id = JSON.stringify([doc.event, doc._key])
+    let state = this.keys.get(id)
+    if (!state) {
+      // The first message of a key is in sequence, others may have early
+      // arrivals, so their start is only known after the window.
+      state = { event: doc.event, key: doc._key, next: doc._seq === 1 ? 1 : null, pending: new Map(), timer: null, busy: false, seen: 0 }
+      this.keys.set(id, state)
+    }
+    state.seen = Date.now()
+
+    // Duplicates and messages which arrived after they were skipped.
+    if (state.next !== null && doc._seq < state.next) return
+
+    state.pending.set(doc._seq, { args, doc })
+    this.drain(state)
+    this.sweep()
+  }
+
+  /**
+   * Pass the next message once the previous one of the key is handled, and
+   * wait for missing messages.
+   *
+   * @param {Object} state
+   * @api private
+   */
+  drain (state) {
+    if (state.next !== null && !state.busy && state.pending.has(state.next)) {
+      const task = state.pending.get(state.next)
+      state.pending.delete(state.next)
+      state.next++
+      state.busy = true
+      this.handler.push(task.args, task.doc, () => {
+        state.busy = false
+        state.seen = Date.now()
+        this.drain(state)
+      })
+    }
+
+    const missing = state.pending.size > 0 && (state.next === null || !state.pending.has(state.next))
+    if (missing && !state.timer) {
+      state.timer = setTimeout(() => {
+        state.timer = null
+        this.skip(state)
+      }, this.window)
+    } else if (!missing && state.timer) {
+      clearTimeout(state.timer)
+      state.timer = null
+    }
+  }
+
+  /**
+   * Continue with the lowest pending message once the window has passed.
+   *
+   * @param {Object} state
+   * @api private
+   */
+  skip (state) {
+    if (!state.pending.size) return
+
+    const lowest = Math.min(...state.pending.keys())
+    if (state.next !== null) {
+      this.handler.channel.emit('sequenceGap', {
+        event: state.event,
+        key: state.key,
+        expected: state.next,
+        received: lowest
+      })
+    }
+    state.next = lowest
+    this.drain(state)
+  }
+
+  /**
+   * Forget keys without pending messages which were idle for a while.
+   *
+   * @api private
+   */
+  sweep () {
+    const now = Date.now()
+    if (now - this.swept < KEY_TTL) return
+
+    this.swept = now
+    this.keys.forEach((state, id) => {
+      if (!state.pending.size && !state.busy && now - state.seen > KEY_TTL) {
+        this.keys.delete(id)
+      }
+    })
+  }
+
+  /**
+   * Stop the timers and drop the pending messages.
+   *
+   * @return {Sequencer} this
+   * @api private
+   */
+  close () {
+    this.keys.forEach((state) => {
+      clearTimeout(state.timer)
+    })
+    this.keys.clear()
+
+    return this
+  }
+}
+
+module.exports = Sequencer
@@ -0,0 +1,171 @@
+class Tracing {
+  /**
+   * Tracing constructor. Propagates the trace context (W3C `traceparent`,
+   * `tracestate` and baggage) from publishers to subscribers in the
+   * `_headers` of the documents, and creates producer and consumer spans.
+   * The OpenTelemetry API is injected, so mubsub doesn't depend on it.
+   *
+   * @param {Channel} channel
+   * @param {Object} options
+   *   - `api` the `@opentelemetry/api` module
+   *   - `tracer` tracer to create the spans with, default is the `mubsub` tracer of the api
+   * @api private
+   */
+  constructor (channel, options) {
+    const api = options && options.api
+    if (!api || !api.context || !api.propagation || !api.trace) {
+      throw new Error('Mubsub: tracing requires the OpenTelemetry api.')
+    }
+
+    this.channel = channel
+    this.api = api
+    this.tracer = options.tracer || api.trace.getTracer('mubsub')
+  }
+
+  /**
+   * Get the active context, to publish with later.
+   *
+   * @return {Context}
+   * @api private
+   */
+  active () {
+    return this.api.context.active()
+  }
+
+  /**
+   * Start the producer span of a document and inject its context into the
+   * headers of the document.
+   *
+   * @param {Object} doc
+   * @param {Context} [parent] context to publish in, default is the active one
+   * @return {Span}
+   * @api private
+   */
+  send (doc, parent) {
+    const api = this.api
+    parent || (parent = api.context.active())
+
+    const span = this.tracer.startSpan(`${this.channel.name} publish`, {
+      kind: api.SpanKind && api.SpanKind.PRODUCER,
+      attributes: this.attributes(doc, 'publish')
+    }, parent)
+
+    doc._headers || (doc._headers = {})
+    api.propagation.inject(api.trace.setSpan(parent, span), doc._headers)
+
+    return span
+  }
+
+  /**
+   * Run a function in the context published with a document, f.e. the
+   * listeners of the channel.
+   *
+   * @param {Object} doc
+   * @param {Function} fn
+   * @return {*} result of fn
+   * @api private
+   */
+  restore (doc, fn) {
+    return this.api.context.with(this.extract(doc), fn)
+  }
+
+  /**
+   * Run a subscriber callback for a document (or an array of documents)
+   * within a consumer span. The span is a child of the publisher's span,
+   * batches link to the spans of their documents.
+   *
+   * @param {Object|Array} doc
+   * @param {Function} fn callback, may return a Promise
+   * @return {Promise} result of fn
+   * @api private
+   */
+  process (doc, fn) {
+    const api = this.api
+    const batch = Array.isArray(doc)
+    const parent = !doc || batch ? api.context.active() : this.extract(doc)
+    const options = {
+      kind: api.SpanKind && api.SpanKind.CONSUMER,
+      attributes: this.attributes(batch ? null : doc, 'process')
+    }
+
+    if (batch) {
+      options.attributes['messaging.batch.message_count'] = doc.length
+      options.links = doc
+        .map((item) => api.trace.getSpanContext(this.extract(item)))
+        .filter(Boolean)
+        .map((context) => ({ context }))
+    }
+
+    const span = this.tracer.startSpan(`${this.channel.name} process`, options, parent)
+    let result
+
+    try {
+      result = Promise.resolve(api.context.with(api.trace.setSpan(parent, span), fn))
+    } catch (err) {
+      result = Promise.reject(err)
+    }
+
+    return result.then((value) => {
+      this.end(span)
+      return value
+    }, (err) => {
+      this.end(span, err)
+      throw err
+    })
+  }
+
+  /**
+   * End a span, recording the error it failed with.
+   *
+   * @param {Span} span
+   * @param {Error} [err]
+   * @api private
+   */
+  end (span, err) {
+    if (err) {
+      span.recordException(err)
+      span.setStatus({ code: this.api.SpanStatusCode ? this.api.SpanStatusCode.ERROR : 2, message: err.message })
+    }
+    span.end()
+  }
+
+  /**
+   * Extract the published context of a document.
+   *
+   * @param {Object} doc
+   * @return {Context}
+   * @api private
+   */
+  extract (doc) {
+    const api = this.api
+
+    return doc && doc._headers
+      ? api.propagation.extract(api.ROOT_CONTEXT || api.context.active(), doc._headers)
+      : api.context.active()
+  }
+
+  /**
+   * Get the span attributes of a document.
+   *
+   * @param {Object} [doc]
+   * @param {String} operation
+   * @return {Object}
+   * @api private
+   */
+  attributes (doc, operation) {
+    const attributes = {
+      'messaging.system': 'mubsub',
+      'messaging.destination.name': this.channel.name,
+      'messaging.operation': operation
+    }
+
+    if (doc) {
+      if (doc._id) attributes['messaging.message.id'] = String(doc._id)
+      if (doc.event) attributes['mubsub.event'] = doc.event
+    }
+
+    return attributes
+  }
+}
+
+module.exports = Tracing
@@ -0,0 +1,106 @@
+const noop = function () {}
+
+/**
+ * Pair a node style callback with a Promise. If a callback is given it is used
+ * as is and no Promise is created, otherwise the returned callback settles the
+ * returned Promise. A noop rejection handler is attached, so fire and forget
+ * calls never raise unhandled rejections.
+ *
+ * @param {Function} [callback]
+ * @return {Object} `{ callback, promise }`
+ * @api private
+ */
+exports.callbackOrPromise = function (callback) {
+  if (typeof callback === 'function') {
+    return { callback, promise: null }
+  }
+
+  const promise = new Promise(function (resolve, reject) {
+    callback = function (err, result) {
+      err ? reject(err) : resolve(result)
+    }
+  })
+  promise.catch(noop)
+
+  return { callback, promise }
+}
+
+/**
+ * Create the error a rejected operation reports when its AbortSignal fires.
+ *
+ * @param {AbortSignal} signal
+ * @return {Error}
+ * @api private
+ */
+exports.abortError = function (signal) {
+  if (signal && signal.reason instanceof Error) {
+    return signal.reason
+  }
+
+  const err = new Error('The operation was aborted')
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  return err
+}
+
+/**
+ * Prefix of the events mubsub publishes itself, f.e. requests and replies.
+ *
+ * @api private
+ */
+exports.RESERVED = '_mubsub.'
+
+/**
+ * Check whether an event is reserved. Reserved events are only delivered to
+ * subscriptions of the exact event, not to 'message' or patterns.
+ *
+ * @param {String} event
+ * @return {Boolean}
+ * @api private
+ */
+exports.isReserved = function (event) {
+  return typeof event === 'string' && event.startsWith(exports.RESERVED)
+}
+
+/**
+ * Compile an event pattern into a RegExp. Event names are hierarchical,
+ * separated by dots: `*` matches exactly one segment, `#` matches zero or
+ * more segments. RegExps are returned as they are.
+ *
+ * @param {String|RegExp} event
+ * @return {RegExp|null} null if the event is a plain event name
+ * @api private
+ */
+exports.eventPattern = function (event) {
+  if (event instanceof RegExp) {
+    return event
+  }
+
+  const parts = `${event}`.split('.')
+  if (!parts.includes('*') && !parts.includes('#')) {
+    return null
+  }
+
+  let source = ''
+  let separator = false
+  parts.forEach(function (part, i) {
+    const last = i === parts.length - 1
+
+    if (part === '#') {
+      if (i === 0) {
+        source += last ? '.*' : '(?:[^.]+\\.)*'
+        separator = false
+      } else {
+        source += '(?:\\.[^.]+)*'
+        separator = true
+      }
+      return
+    }
+
+    source += separator ? '\\.' : ''
+    source += part === '*' ? '[^.]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    separator = true
+  })
+
+  return new RegExp(`^${source}$`)
+}
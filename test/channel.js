@@ -2,6 +2,7 @@ const assert = require('assert')
 const mubsub = require('../lib/index')
 const data = require('./fixtures/data')
 const helpers = require('./helpers')
+const schema = require('../lib/schema')
 
 describe('Channel', function () {
   beforeEach(function () {
@@ -305,4 +306,1687 @@ describe('Channel', function () {
       }).catch(done)
     })
   })
+
+  it('supports change stream mode publish and subscribe', function (done) {
+    const self = this
+
+    this.client.once('connect', function (db) {
+      helpers.supportsChangeStreams(db).then((supported) => {
+        if (!supported) return self.skip()
+
+        const channel = self.client.channel('channel.changestream.basic', {
+          mode: 'changestream'
+        })
+
+        channel.once('ready', function () {
+          assert.equal(channel.transport, 'changestream')
+        })
+
+        const subscription = channel.subscribe('a', function (payload) {
+          assert.equal(payload, 'changestream')
+          subscription.unsubscribe()
+          channel.close()
+          done()
+        })
+
+        channel.publish('a', 'changestream')
+      }).catch(done)
+    })
+  })
+
+  it('resumes change stream from resume token after recreate', function (done) {
+    const self = this
+
+    this.client.once('connect', function (db) {
+      helpers.supportsChangeStreams(db).then((supported) => {
+        if (!supported) return self.skip()
+
+        const channel = self.client.channel('channel.changestream.resume', {
+          mode: 'changestream'
+        })
+        const received = []
+
+        channel.on('error', function () {})
+        channel.subscribe('r', function (payload) {
+          received.push(payload)
+
+          if (payload === 'first') {
+            // Break the stream and publish while it is being recreated.
+            channel.changeStream.close().then(() => {
+              channel.publish('r', 'second')
+            })
+          }
+
+          if (payload === 'second') {
+            assert.deepEqual(received, ['first', 'second'])
+            channel.close()
+            done()
+          }
+        })
+
+        channel.publish('r', 'first')
+      }).catch(done)
+    })
+  })
+
+  it('falls back from change stream in auto mode by server capability', function (done) {
+    const name = 'channel.auto.changestream.fallback'
+    const self = this
+
+    this.client.once('connect', function (db) {
+      Promise.all([
+        helpers.supportsChangeStreams(db),
+        db.createCollection(name)
+      ]).then(([supported]) => {
+        const channel = self.client.channel(name, {
+          mode: 'auto',
+          pollInterval: 20
+        })
+
+        const subscription = channel.subscribe('f', function (payload) {
+          assert.equal(payload, 'ok')
+          assert.equal(channel.transport, supported ? 'changestream' : 'polling')
+          subscription.unsubscribe()
+          channel.close()
+          done()
+        })
+
+        channel.publish('f', 'ok')
+      }).catch(done)
+    })
+  })
+
+  it('returns a promise from publish if no callback passed', function () {
+    const channel = this.client.channel('channel.promise.publish')
+
+    return channel.publish('p', 'promise').then(function (res) {
+      assert.ok(res._id)
+      channel.close()
+    })
+  })
+
+  it('resolves ready when the channel is listening', function () {
+    const channel = this.client.channel('channel.promise.ready')
+
+    return channel.ready().then(function (collection) {
+      assert.equal(collection.collectionName, 'channel.promise.ready')
+      assert.equal(channel.listening, collection)
+      channel.close()
+    })
+  })
+
+  it('iterates messages with for await and unsubscribes on break', async function () {
+    const channel = this.client.channel('channel.iterate')
+    const received = []
+
+    await channel.ready()
+    channel.publish('i', 1)
+    channel.publish('i', 2)
+    channel.publish('i', 3)
+
+    for await (const message of channel.iterate('i')) {
+      received.push(message)
+      if (received.length === 3) break
+    }
+
+    assert.deepEqual(received, [1, 2, 3])
+    assert.equal(channel.listenerCount('i'), 0)
+    channel.close()
+  })
+
+  it('ends iteration with an AbortError when the signal aborts', async function () {
+    const channel = this.client.channel('channel.iterate.abort')
+    const controller = new AbortController()
+    const received = []
+
+    await channel.ready()
+    channel.publish('i', 'first')
+
+    await assert.rejects(async function () {
+      for await (const message of channel.iterate('i', { signal: controller.signal })) {
+        received.push(message)
+        controller.abort()
+      }
+    }, { name: 'AbortError' })
+
+    assert.deepEqual(received, ['first'])
+    assert.equal(channel.listenerCount('i'), 0)
+    channel.close()
+  })
+
+  it('replays missed messages to a durable subscription', function (done) {
+    const name = 'channel.durable'
+    const client0 = this.client
+    const publisher = client0.channel(name)
+
+    const first = publisher.subscribe('d', function (payload) {
+      assert.equal(payload, 'one')
+      first.unsubscribe()
+    }, { durableName: 'billing' })
+
+    publisher.publish('d', 'one', function (err, one) {
+      if (err) return done(err)
+
+      helpers.waitForPosition(client0.db, name, 'billing', one._id).then(() => {
+        return publisher.publish('d', 'two').then(() => publisher.publish('d', 'three'))
+      }).then(() => {
+        const client1 = mubsub(helpers.uri)
+        const channel1 = client1.channel(name)
+        const received = []
+
+        channel1.subscribe('d', function (payload) {
+          received.push(payload)
+          if (received.length === 2) {
+            assert.deepEqual(received, ['two', 'three'])
+            publisher.close()
+            channel1.close()
+            client1.close(done)
+          }
+        }, { durableName: 'billing' })
+      }).catch(done)
+    })
+  })
+
+  it('reports a gap when the durable position was overwritten', function (done) {
+    const name = 'channel.durable.gap'
+    const client0 = this.client
+    const publisher = client0.channel(name, { size: 4096, max: 3 })
+
+    const first = publisher.subscribe('g', function () {
+      first.unsubscribe()
+    }, { durableName: 'audit' })
+
+    publisher.publish('g', 0, function (err, doc) {
+      if (err) return done(err)
+
+      helpers.waitForPosition(client0.db, name, 'audit', doc._id).then(() => {
+        let chain = Promise.resolve()
+        for (let i = 1; i <= 5; i++) {
+          chain = chain.then(() => publisher.publish('g', i))
+        }
+        return chain
+      }).then(() => {
+        const client1 = mubsub(helpers.uri)
+        const channel1 = client1.channel(name, { size: 4096, max: 3 })
+
+        channel1.once('gap', function (gap) {
+          assert.equal(gap.durableName, 'audit')
+          assert.equal(String(gap.position), String(doc._id))
+          publisher.close()
+          channel1.close()
+          client1.close(done)
+        })
+        channel1.subscribe('g', function () {}, { durableName: 'audit' })
+      }).catch(done)
+    })
+  })
+
+  it('rejects handler options on durable subscriptions', function () {
+    const channel = this.client.channel('channel.durable.options', { mode: 'polling' })
+
+    assert.throws(function () {
+      channel.subscribe('d', function () {}, { durableName: 'd', retries: 3, filter: { n: 1 } })
+    }, /don't support the filter, retries option/)
+    assert.throws(function () {
+      channel.subscribe('d', function () {}, { startFrom: 'earliest', concurrency: 2 })
+    }, /concurrency/)
+    assert.equal(channel.consumers.size, 0)
+    channel.close()
+  })
+
+  it('delivers each queued message to exactly one consumer', function (done) {
+    const name = 'channel.queue.competing'
+    const options = { mode: 'polling', pollInterval: 20 }
+    const channel0 = this.client.channel(name, options)
+    const client1 = mubsub(helpers.uri)
+    const channel1 = client1.channel(name, options)
+    const n = 20
+    const received = []
+
+    function handler (message) {
+      received.push(message)
+      if (received.length === n) {
+        setTimeout(function () {
+          assert.equal(received.length, n)
+          assert.equal(new Set(received).size, n)
+          channel0.close()
+          channel1.close()
+          client1.close(done)
+        }, 200)
+      }
+    }
+
+    channel0.queue('job', handler, { concurrency: 2 })
+    channel1.queue('job', handler, { concurrency: 2 })
+
+    for (let i = 0; i < n; i++) {
+      channel0.publish('job', i)
+    }
+  })
+
+  it('redelivers a queued message after the visibility timeout', function (done) {
+    const channel = this.client.channel('channel.queue.visibility', {
+      mode: 'polling',
+      pollInterval: 20
+    })
+    let attempts = 0
+
+    channel.queue('job', function (message) {
+      attempts++
+      if (attempts === 1) {
+        // Never settles, the claim has to expire.
+        return new Promise(function () {})
+      }
+
+      assert.equal(message, 'slow')
+      channel.close()
+      done()
+    }, { concurrency: 2, visibilityTimeout: 100 })
+
+    channel.publish('job', 'slow')
+  })
+
+  it('wakes pattern queue consumers on publish', function (done) {
+    const channel = this.client.channel('channel.queue.pattern', { mode: 'polling', pollInterval: 1000 })
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+    let start
+
+    channel.ready().then(function () {
+      // Out of phase with the listener: its poll delivers the job about 400ms
+      // after the publish, the next claim of the consumer is about 900ms after.
+      return wait(500)
+    }).then(function () {
+      channel.queue('job.*', function (message) {
+        assert.equal(message, 'fast')
+        const latency = Date.now() - start
+        channel.close()
+        done(latency < 700 ? null : new Error(`Job claimed after ${latency}ms`))
+      })
+      return wait(100)
+    }).then(function () {
+      start = Date.now()
+      return channel.publish('job.email', 'fast')
+    }).catch(done)
+  })
+
+  it('moves a queued message to the dead-letter collection after max attempts', function (done) {
+    const name = 'channel.queue.dlq'
+    const client = this.client
+    const channel = client.channel(name, { mode: 'polling', pollInterval: 20 })
+    let attempts = 0
+
+    channel.queue('job', function () {
+      attempts++
+      if (attempts === 3) {
+        setTimeout(function () {
+          client.db.collection(`${name}.dlq`).findOne({ message: 'poison' }).then((doc) => {
+            assert.ok(doc)
+            assert.equal(doc.attempts, 3)
+            assert.equal(doc.error.message, 'boom')
+            channel.close()
+            done()
+          }).catch(done)
+        }, 200)
+      }
+      throw new Error('boom')
+    }, { maxAttempts: 3 })
+
+    channel.publish('job', 'poison')
+  })
+
+  it('emits error for queues on capped channels', function (done) {
+    const channel = this.client.channel('channel.queue.capped', { mode: 'capped' })
+
+    channel.once('error', function (err) {
+      assert.ok(String(err.message).includes('queue'))
+      channel.close()
+      done()
+    })
+    channel.queue('job', function () {})
+  })
+
+  it('replies to requests with the result of the responder', function () {
+    const channel = this.client.channel('channel.rpc')
+
+    channel.respond('add', function (message) {
+      return Promise.resolve(message.a + message.b)
+    })
+
+    return channel.ready().then(function () {
+      return channel.request('add', { a: 1, b: 2 })
+    }).then(function (reply) {
+      assert.equal(reply, 3)
+      channel.close()
+    })
+  })
+
+  it('keeps requests and replies from message and pattern subscribers', function () {
+    const channel = this.client.channel('channel.rpc.reserved')
+    const received = []
+
+    channel.subscribe(function (message) {
+      received.push(['message', message])
+    })
+    channel.subscribe('#', function (message, event) {
+      received.push([event, message])
+    })
+    channel.respond('echo', function (message) {
+      return message
+    })
+
+    return channel.ready().then(function () {
+      return assert.rejects(channel.publish('_mubsub.reply', 'fake'), /reserved/)
+    }).then(function () {
+      return channel.request('echo', 'hi')
+    }).then(function (reply) {
+      assert.equal(reply, 'hi')
+      return channel.publish('echo', 'plain')
+    }).then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 100)
+      })
+    }).then(function () {
+      assert.deepEqual(received, [['echo', 'plain'], ['message', 'plain']])
+      channel.close()
+    })
+  })
+
+  it('rejects requests with the error of the responder', function () {
+    const channel = this.client.channel('channel.rpc.error')
+
+    channel.respond('fail', function () {
+      const err = new TypeError('bad request')
+      err.code = 'EBAD'
+      throw err
+    })
+
+    return channel.ready().then(function () {
+      return assert.rejects(channel.request('fail'), {
+        name: 'TypeError',
+        message: 'bad request',
+        code: 'EBAD',
+        remote: true
+      })
+    }).then(function () {
+      channel.close()
+    })
+  })
+
+  it('rejects requests on timeout and ignores late replies', function () {
+    const channel = this.client.channel('channel.rpc.timeout')
+
+    channel.respond('slow', function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 200, 'late')
+      })
+    })
+
+    return channel.ready().then(function () {
+      return assert.rejects(channel.request('slow', null, { timeout: 50 }), {
+        code: 'ETIMEDOUT'
+      })
+    }).then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 300)
+      })
+    }).then(function () {
+      assert.equal(channel.requester.pending.size, 0)
+      channel.close()
+    })
+  })
+
+  it('rejects pending requests when the channel closes', function () {
+    const channel = this.client.channel('channel.rpc.close')
+    const start = Date.now()
+
+    return channel.ready().then(function () {
+      const pending = channel.request('unanswered', null, { timeout: 5000 })
+      channel.close()
+      return assert.rejects(pending, /channel is closed/)
+    }).then(function () {
+      assert.ok(Date.now() - start < 1000)
+      assert.equal(channel.requester.pending.size, 0)
+    })
+  })
+
+  it('subscribes to wildcard and regex event patterns', function (done) {
+    const channel = this.client.channel('channel.patterns')
+    const received = []
+
+    function complete () {
+      if (received.length < 4) return
+      assert.deepEqual(received.sort(), [
+        '#:orders.created.eu',
+        '*:orders.created',
+        '#:orders.created',
+        're:invoices.paid'
+      ].sort())
+      channel.close()
+      done()
+    }
+
+    channel.subscribe('orders.*', function (message, event) {
+      received.push(`*:${event}`)
+      complete()
+    })
+    channel.subscribe('orders.#', function (message, event) {
+      received.push(`#:${event}`)
+      complete()
+    })
+    channel.subscribe(/^invoices\./, function (message, event) {
+      received.push(`re:${event}`)
+      complete()
+    })
+
+    channel.publish('orders.created', 1)
+    channel.publish('orders.created.eu', 2)
+    channel.publish('ordersx', 3)
+    channel.publish('invoices.paid', 4)
+  })
+
+  it('only fetches documents of subscribed events with the filter option', function (done) {
+    const channel = this.client.channel('channel.filter', { filter: true })
+    const documents = []
+    const received = []
+
+    // Subscribers run before 'document' is emitted.
+    channel.on('document', function (doc) {
+      documents.push(doc.event)
+      if (doc.event !== 'a') return
+      assert.deepEqual(received, ['last'])
+      assert.deepEqual(documents, ['a'])
+      channel.close()
+      done()
+    })
+    channel.subscribe('a', function (message) {
+      received.push(message)
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('b', 'skipped')
+    }).then(function () {
+      return channel.publish('a', 'last')
+    }).catch(done)
+  })
+
+  it('filters messages by a per subscription query', function (done) {
+    const channel = this.client.channel('channel.filter.query', {
+      mode: 'polling',
+      pollInterval: 20,
+      filter: true
+    })
+
+    channel.subscribe('order', function (message) {
+      assert.deepEqual(message, { total: 150 })
+      channel.close()
+      done()
+    }, { filter: { total: { $gt: 100 } } })
+
+    channel.publish('order', { total: 50 })
+    channel.publish('order', { total: 150 })
+  })
+
+  it('rejects unsupported filter operators on subscribe', function () {
+    const channel = this.client.channel('channel.filter.operators', { mode: 'polling' })
+
+    assert.throws(function () {
+      channel.subscribe('order', function () {}, { filter: { items: { $elemMatch: { sku: 'a' } } } })
+    }, /unsupported query operator \$elemMatch/)
+    assert.throws(function () {
+      channel.subscribeBatch('order', function () {}, { filter: { $or: [{ tags: { $size: 2 } }] } })
+    }, /unsupported query operator \$size/)
+    assert.throws(function () {
+      channel.subscribe('order', function () {}, { filter: { total: { $not: { $type: 'int' } } } })
+    }, /unsupported query operator \$type/)
+    assert.equal(channel.matchers.length, 0)
+    channel.close()
+  })
+
+  it('does not deliver old documents to subscriptions added after a rebuild', function (done) {
+    const channel = this.client.channel('channel.filter.rebuild', {
+      mode: 'polling',
+      pollInterval: 20,
+      filter: true
+    })
+    const received = []
+
+    channel.subscribe('a', function (message) {
+      received.push(`a:${message}`)
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('b', 'old')
+    }).then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 100)
+      })
+    }).then(function () {
+      channel.subscribe('b', function (message) {
+        received.push(`b:${message}`)
+        if (message === 'new') {
+          assert.deepEqual(received, ['a:1', 'b:new'])
+          channel.close()
+          done()
+        }
+      })
+      return channel.publish('a', 1)
+    }).then(function () {
+      return channel.publish('b', 'new')
+    }).catch(done)
+  })
+
+  it('encodes and decodes messages with the json codec', function (done) {
+    const name = 'channel.codec.json'
+    const client = this.client
+    const channel = client.channel(name, { codec: 'json' })
+
+    channel.subscribe('c', function (message) {
+      assert.deepEqual(message, { a: [1, 2] })
+      client.db.collection(name).findOne({ event: 'c' }).then((doc) => {
+        assert.equal(doc._codec, 'json')
+        assert.equal(doc.message, '{"a":[1,2]}')
+        channel.close()
+        done()
+      }).catch(done)
+    })
+
+    channel.publish('c', { a: [1, 2] })
+  })
+
+  it('keeps BigInts and Maps with the json codec', function (done) {
+    const channel = this.client.channel('channel.codec.json.types', { codec: 'json' })
+    const message = { n: 12345678901234567890n, m: new Map([['a', 1n]]), o: { $bigint: 1 } }
+
+    channel.subscribe('c', function (received) {
+      assert.deepEqual(received, message)
+      assert.equal(typeof received.n, 'bigint')
+      assert.ok(received.m instanceof Map)
+      channel.close()
+      done()
+    })
+
+    channel.publish('c', message)
+  })
+
+  it('matches filters on encoded messages once decoded', function (done) {
+    const channel = this.client.channel('channel.codec.filter', {
+      mode: 'polling',
+      pollInterval: 20,
+      filter: true,
+      codec: 'json'
+    })
+
+    channel.subscribe('order', function (message) {
+      assert.deepEqual(message, { total: 150 })
+      channel.close()
+      done()
+    }, { filter: { total: { $gt: 100 } } })
+
+    channel.publish('order', { total: 50 })
+    channel.publish('order', { total: 150 })
+  })
+
+  it('supports custom codecs', function (done) {
+    const codec = {
+      name: 'map',
+      encode: (message) => Buffer.from(JSON.stringify([...message])),
+      decode: (buffer) => new Map(JSON.parse(buffer.toString()))
+    }
+    const channel = this.client.channel('channel.codec.custom', { codec })
+
+    channel.subscribe('c', function (message) {
+      assert.ok(message instanceof Map)
+      assert.equal(message.get('a'), 1)
+      channel.close()
+      done()
+    })
+
+    channel.publish('c', new Map([['a', 1]]))
+  })
+
+  it('compresses messages above the threshold', function (done) {
+    const name = 'channel.codec.compression'
+    const client = this.client
+    const channel = client.channel(name, {
+      codec: 'json',
+      compression: { algorithm: 'gzip', threshold: 100 }
+    })
+    const large = 'x'.repeat(1000)
+
+    channel.subscribe('c', function (message) {
+      if (message === 'small') return
+      assert.equal(message, large)
+      client.db.collection(name).find({ event: 'c' }).toArray().then((docs) => {
+        assert.equal(docs[0]._compression, undefined)
+        assert.equal(docs[1]._compression, 'gzip')
+        assert.ok(docs[1].message.length() < 100)
+        channel.close()
+        done()
+      }).catch(done)
+    })
+
+    channel.publish('c', 'small')
+    channel.publish('c', large)
+  })
+
+  it('decodes documents of publishers with other codecs', function (done) {
+    const name = 'channel.codec.mixed'
+    const json = this.client.channel(name, { codec: 'json', compression: 'deflate' })
+    const client1 = mubsub(helpers.uri)
+    const bson = client1.channel(name)
+    const received = []
+
+    bson.subscribe('c', function (message) {
+      received.push(message)
+      if (received.length === 2) {
+        assert.deepEqual(received, [{ from: 'json' }, { from: 'bson' }])
+        json.close()
+        bson.close()
+        client1.close(done)
+      }
+    })
+
+    Promise.all([json.ready(), bson.ready()]).then(function () {
+      return json.publish('c', { from: 'json' })
+    }).then(function () {
+      return bson.publish('c', { from: 'bson' })
+    }).catch(done)
+  })
+
+  it('rejects invalid messages on publish', function () {
+    const channel = this.client.channel('channel.schema.publish', {
+      schemas: {
+        order: {
+          type: 'object',
+          required: ['id'],
+          properties: { id: { type: 'string' }, total: { type: 'number', minimum: 0 } }
+        }
+      }
+    })
+    channel.schema('ping', (message) => message === 'ping')
+
+    return channel.publish('order', { id: 1, total: -1 }).then(function () {
+      throw new Error('Expected a ValidationError')
+    }, function (err) {
+      assert.ok(err instanceof mubsub.ValidationError)
+      assert.equal(err.event, 'order')
+      assert.deepEqual(err.errors, ['message.id must be of type string', 'message.total must be >= 0'])
+      return channel.publish('ping', 'pong')
+    }).then(function () {
+      throw new Error('Expected a ValidationError')
+    }, function (err) {
+      assert.ok(err instanceof mubsub.ValidationError)
+      return channel.publish('order', { id: 'a', total: 1 })
+    }).then(function (result) {
+      assert.ok(result._id)
+      channel.close()
+    })
+  })
+
+  it('rejects unsupported schema keywords', function () {
+    assert.throws(() => this.channel.schema('s', { type: 'string', format: 'email' }), /unsupported keyword "format"/)
+    assert.throws(() => this.channel.schema('s', { properties: { a: { $ref: '#/a' } } }), /unsupported keyword "\$ref"/)
+    assert.throws(() => this.channel.schema('s', { items: [{ type: 'string' }] }), /must use a schema as items/)
+    assert.throws(() => this.channel.schema('s', { bsonType: 'decimal' }), /unsupported type "decimal"/)
+    assert.throws(() => this.channel.schema('s', { properties: { a: { type: ['string', 'binData'] } } }), /unsupported type "binData"/)
+  })
+
+  it('translates schemas for the collection validator', function () {
+    const validator = schema.collectionValidator({
+      order: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', exclusiveMinimum: 0 },
+          state: { const: 'new' },
+          lines: { type: 'array', items: { type: ['integer', 'null'] } }
+        }
+      },
+      ping: () => true
+    })
+
+    assert.deepEqual(validator, {
+      $or: [
+        { event: { $nin: ['order'] } },
+        {
+          $and: [
+            { event: 'order' },
+            {
+              $jsonSchema: {
+                bsonType: 'object',
+                required: ['message'],
+                properties: {
+                  message: {
+                    type: 'object',
+                    properties: {
+                      id: { bsonType: ['int', 'long'], minimum: 0, exclusiveMinimum: true },
+                      state: { enum: ['new'] },
+                      lines: { type: 'array', items: { bsonType: ['int', 'long', 'null'] } }
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        }
+      ]
+    })
+  })
+
+  it('emits received invalid messages as invalid', function (done) {
+    const name = 'channel.schema.receive'
+    const channel = this.client.channel(name, {
+      schemas: { order: { type: 'object', required: ['id'] } }
+    })
+    const client1 = mubsub(helpers.uri)
+    const publisher = client1.channel(name)
+    let invalid = 0
+
+    channel.subscribe('order', function (message) {
+      assert.deepEqual(message, { id: 'b' })
+      assert.equal(invalid, 1)
+      channel.close()
+      publisher.close()
+      client1.close(done)
+    })
+
+    channel.on('invalid', function (err) {
+      assert.ok(err instanceof mubsub.ValidationError)
+      assert.deepEqual(err.document.message, { total: 1 })
+      invalid++
+    })
+
+    Promise.all([channel.ready(), publisher.ready()]).then(function () {
+      return publisher.publish('order', { total: 1 })
+    }).then(function () {
+      return publisher.publish('order', { id: 'b' })
+    }).catch(done)
+  })
+
+  it('delivers delayed messages in due time order', function (done) {
+    const channel = this.client.channel('channel.delay.order', {
+      mode: 'polling',
+      pollInterval: 20
+    })
+    const start = Date.now()
+    const received = []
+
+    channel.subscribe('d', function (message) {
+      assert.ok(Date.now() - start >= message.due)
+      received.push(message.n)
+      if (received.length === 3) {
+        assert.deepEqual(received, [1, 2, 3])
+        channel.close()
+        done()
+      }
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('d', { n: 3, due: 300 }, { delay: 300 })
+    }).then(function () {
+      return channel.publish('d', { n: 2, due: 150 }, { deliverAt: new Date(start + 150) })
+    }).then(function () {
+      return channel.publish('d', { n: 1, due: 0 })
+    }).catch(done)
+  })
+
+  it('delivers pending delayed messages after a restart', function (done) {
+    const name = 'channel.delay.restart'
+    const channel0 = this.client.channel(name, { mode: 'polling', pollInterval: 20 })
+
+    channel0.publish('d', 'later', { delay: 300 }).then(function () {
+      channel0.close()
+
+      const client1 = mubsub(helpers.uri)
+      const channel1 = client1.channel(name, { mode: 'polling', pollInterval: 20 })
+
+      channel1.subscribe('d', function (message) {
+        assert.equal(message, 'later')
+        channel1.close()
+        client1.close(done)
+      })
+    }).catch(done)
+  })
+
+  it('rejects invalid due times', function () {
+    const channel = this.client.channel('channel.delay.invalid', { mode: 'polling' })
+
+    return channel.publish('d', 'x', { deliverAt: 'never' }).then(function () {
+      throw new Error('Expected an error')
+    }, function (err) {
+      assert.ok(/deliverAt/.test(err.message))
+      channel.close()
+    })
+  })
+
+  it('skips expired messages when replaying', function (done) {
+    const name = 'channel.ttl.skip'
+    const client0 = this.client
+    const publisher = client0.channel(name)
+
+    const first = publisher.subscribe('t', function () {
+      first.unsubscribe()
+    }, { durableName: 'ttl' })
+
+    publisher.publish('t', 'first', function (err, doc) {
+      if (err) return done(err)
+
+      helpers.waitForPosition(client0.db, name, 'ttl', doc._id).then(() => {
+        return publisher.publish('t', 'expired', { ttl: 1 })
+          .then(() => publisher.publish('t', 'alive', { ttl: 60000 }))
+      }).then(() => {
+        const client1 = mubsub(helpers.uri)
+        const channel1 = client1.channel(name)
+
+        channel1.subscribe('t', function (payload) {
+          assert.equal(payload, 'alive')
+          publisher.close()
+          channel1.close()
+          client1.close(done)
+        }, { durableName: 'ttl' })
+      }).catch(done)
+    })
+  })
+
+  it('creates the expireAt TTL index on polling collections', function (done) {
+    const name = 'channel.ttl.index'
+    const client = this.client
+    const channel = client.channel(name, { mode: 'polling' })
+
+    channel.ready().then(function () {
+      return client.db.collection(name).indexes()
+    }).then(function (indexes) {
+      const index = indexes.find((index) => index.name === '_mubsub_expire_at')
+      assert.ok(index)
+      assert.deepEqual(index.key, { _expireAt: 1 })
+      assert.equal(index.expireAfterSeconds, 0)
+      channel.close()
+      done()
+    }).catch(done)
+  })
+
+  it('publishes many messages with per-item results', function () {
+    const channel = this.client.channel('channel.publishMany', {
+      schemas: { n: { type: 'number' } }
+    })
+    const items = [
+      { event: 'n', message: 1 },
+      { event: 'n', message: 'two' },
+      { event: 'n', message: 3 }
+    ]
+
+    return channel.publishMany(items).then(function (results) {
+      assert.ok(results[0]._id)
+      assert.ok(results[1].error instanceof mubsub.ValidationError)
+      assert.ok(results[2].error)
+      return channel.publishMany(items, { ordered: false })
+    }).then(function (results) {
+      assert.ok(results[0]._id)
+      assert.ok(results[1].error instanceof mubsub.ValidationError)
+      assert.ok(results[2]._id)
+      channel.close()
+    })
+  })
+
+  it('receives polled messages in arrays', function (done) {
+    const channel = this.client.channel('channel.subscribeBatch', {
+      mode: 'polling',
+      pollInterval: 100
+    })
+    const received = []
+
+    channel.subscribeBatch('b', function (messages) {
+      assert.ok(Array.isArray(messages))
+      received.push(...messages)
+      if (received.length === 3) {
+        assert.deepEqual(received, [1, 2, 3])
+        channel.close()
+        done()
+      }
+    })
+
+    channel.ready().then(function () {
+      return channel.publishMany([1, 2, 3].map((message) => ({ event: 'b', message })))
+    }).catch(done)
+  })
+
+  it('coalesces publishes of a batch publisher', function (done) {
+    const channel = this.client.channel('channel.batch', { mode: 'polling', pollInterval: 20 })
+    const batch = channel.batch({ maxSize: 2, maxWait: 1000 })
+    const received = []
+
+    channel.subscribeBatch('b', function (messages) {
+      received.push(...messages)
+      if (received.length === 3) {
+        assert.deepEqual(received, ['a', 'b', 'c'])
+        channel.close()
+        done()
+      }
+    })
+
+    channel.ready().then(function () {
+      const published = [batch.publish('b', 'a'), batch.publish('b', 'b'), batch.publish('b', 'c')]
+      batch.flush()
+      return Promise.all(published)
+    }).then(function (results) {
+      results.forEach((result) => assert.ok(result._id))
+    }).catch(done)
+  })
+
+  it('publishes the collected messages of a batch publisher on close', function () {
+    const name = 'channel.batch.close'
+    const channel = this.client.channel(name, { mode: 'polling' })
+    const batch = channel.batch({ maxWait: 1000, ordered: false })
+    const db = this.client.db
+    let published
+
+    return channel.ready().then(function () {
+      const first = batch.publish('b', 'a', { idempotencyKey: 'a' })
+      batch.flush()
+      return first
+    }).then(function () {
+      published = [batch.publish('b', 'a', { idempotencyKey: 'a' }), batch.publish('b', 'b')]
+      return channel.close({ drain: true })
+    }).then(function () {
+      return Promise.all(published)
+    }).then(function (results) {
+      assert.equal(results[0].duplicate, true)
+      assert.ok(results[1]._id)
+      return db.collection(name).countDocuments({ event: 'b' })
+    }).then(function (count) {
+      assert.equal(count, 2)
+      return assert.rejects(batch.publish('b', 'c'), /channel is closed/)
+    })
+  })
+
+  it('limits the concurrency of async subscribers', function (done) {
+    const channel = this.client.channel('channel.backpressure.concurrency', {
+      mode: 'polling',
+      pollInterval: 20
+    })
+    const received = []
+    let running = 0
+    let max = 0
+
+    channel.subscribe('b', function (message) {
+      running++
+      max = Math.max(max, running)
+      return new Promise((resolve) => setTimeout(resolve, 20)).then(function () {
+        running--
+        received.push(message)
+        if (received.length === 6) {
+          assert.equal(max, 2)
+          assert.deepEqual(received, [0, 1, 2, 3, 4, 5])
+          channel.close()
+          done()
+        }
+      })
+    }, { concurrency: 2, maxPending: 2 })
+
+    channel.ready().then(function () {
+      return channel.publishMany([0, 1, 2, 3, 4, 5].map((message) => ({ event: 'b', message })))
+    }).catch(done)
+  })
+
+  it('keeps the buffer within maxPending under a burst', function (done) {
+    const channel = this.client.channel('channel.backpressure.burst', {
+      mode: 'polling',
+      pollInterval: 20
+    })
+    const received = []
+    let max = 0
+
+    channel.subscribe('b', function (message) {
+      return new Promise((resolve) => setTimeout(resolve, 2)).then(function () {
+        received.push(message)
+        if (received.length === 30) {
+          assert.ok(max <= 3, `buffered ${max} messages`)
+          assert.deepEqual(received, Array.from({ length: 30 }, (_, i) => i))
+          channel.close()
+          done()
+        }
+      })
+    }, { maxPending: 3 })
+
+    const handler = Array.from(channel.consumers)[0]
+    channel.on('document', function () {
+      max = Math.max(max, handler.pending.length)
+    })
+
+    channel.ready().then(function () {
+      return channel.publishMany(Array.from({ length: 30 }, (_, message) => ({ event: 'b', message })))
+    }).catch(done)
+  })
+
+  it('emits an error when the buffer overflows', function (done) {
+    const channel = this.client.channel('channel.backpressure.overflow', {
+      mode: 'polling',
+      pollInterval: 20
+    })
+
+    channel.subscribe('b', function () {
+      return new Promise((resolve) => setTimeout(resolve, 100))
+    }, { maxPending: 1, overflow: 'error' })
+
+    channel.once('error', function (err) {
+      assert.equal(err.code, 'EOVERFLOW')
+      assert.equal(err.event, 'b')
+      channel.close()
+      done()
+    })
+
+    channel.ready().then(function () {
+      return channel.publishMany([1, 2, 3].map((message) => ({ event: 'b', message })))
+    }).catch(done)
+  })
+
+  it('isolates and retries failing subscribers', function (done) {
+    const channel = this.client.channel('channel.handler.retries', { mode: 'polling', pollInterval: 20 })
+    const received = []
+    let attempts = 0
+
+    channel.subscribe('h', function (message) {
+      attempts++
+      if (attempts < 3) throw new Error('boom')
+      received.push(message)
+    }, { retries: 2, retryDelay: 10 })
+
+    channel.subscribe('h', function (message) {
+      received.push(message)
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('h', 'x')
+    }).then(function () {
+      setTimeout(function () {
+        assert.equal(attempts, 3)
+        assert.deepEqual(received, ['x', 'x'])
+        channel.close()
+        done()
+      }, 200)
+    }).catch(done)
+  })
+
+  it('removes subscriptions by their callback', function (done) {
+    const channel = this.client.channel('channel.handler.remove', { mode: 'polling', pollInterval: 20 })
+    const received = []
+    const callback = function (message) {
+      received.push(message)
+    }
+
+    channel.subscribe('r', callback, { retries: 1 })
+    channel.subscribe('r', function (message) {
+      if (message === 2) {
+        assert.deepEqual(received, [1])
+        assert.equal(channel.consumers.size, 1)
+        channel.close()
+        done()
+      }
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('r', 1)
+    }).then(function () {
+      setTimeout(function () {
+        channel.removeListener('r', callback)
+        channel.publish('r', 2).catch(done)
+      }, 100)
+    }).catch(done)
+  })
+
+  it('emits handlerError and dead-letters after the last retry', function (done) {
+    const name = 'channel.handler.dlq'
+    const client = this.client
+    const channel = client.channel(name, { mode: 'polling', pollInterval: 20 })
+
+    channel.subscribe('h', function () {
+      return Promise.reject(new Error('boom'))
+    }, { retries: 1, retryDelay: 10, deadLetter: true })
+
+    channel.on('handlerError', function (err, failure) {
+      assert.equal(err.message, 'boom')
+      assert.equal(failure.event, 'h')
+      assert.equal(failure.message, 'poison')
+      assert.equal(failure.attempts, 2)
+      setTimeout(function () {
+        client.db.collection(`${name}.dlq`).findOne({ source: failure.document._id }).then((doc) => {
+          assert.ok(doc)
+          assert.equal(doc.message, 'poison')
+          assert.equal(doc.document.event, 'h')
+          assert.equal(doc.error.message, 'boom')
+          channel.close()
+          done()
+        }).catch(done)
+      }, 100)
+    })
+
+    channel.publish('h', 'poison')
+  })
+
+  it('dedupes publishes with the same idempotency key', function () {
+    const channel = this.client.channel('channel.idempotency', { mode: 'polling' })
+    let first
+
+    return channel.publish('i', 'once', { idempotencyKey: 'k1' }).then(function (result) {
+      first = result
+      assert.ok(!result.duplicate)
+      return channel.publish('i', 'once', { idempotencyKey: 'k1' })
+    }).then(function (result) {
+      assert.equal(String(result._id), String(first._id))
+      assert.equal(result.duplicate, true)
+      return channel.publishMany([
+        { event: 'i', message: 'once', idempotencyKey: 'k1' },
+        { event: 'i', message: 'twice', idempotencyKey: 'k2' }
+      ], { ordered: false })
+    }).then(function (results) {
+      assert.equal(String(results[0]._id), String(first._id))
+      assert.equal(results[0].duplicate, true)
+      assert.ok(results[1]._id)
+      assert.ok(!results[1].duplicate)
+      channel.close()
+    })
+  })
+
+  it('processes a message once within a consumer group', function (done) {
+    const name = 'channel.dedupe.group'
+    const options = { dedupe: { store: 'mongo', group: 'billing' } }
+    const channel0 = this.client.channel(name, { mode: 'polling', pollInterval: 20 })
+    const client1 = mubsub(helpers.uri)
+    const channel1 = client1.channel(name, { mode: 'polling', pollInterval: 20 })
+    const received = []
+
+    channel0.subscribe('g', (message) => received.push(message), options)
+    channel1.subscribe('g', (message) => received.push(message), options)
+
+    Promise.all([channel0.ready(), channel1.ready()]).then(function () {
+      return channel0.publishMany([1, 2, 3].map((message) => ({ event: 'g', message })))
+    }).then(function () {
+      setTimeout(function () {
+        assert.deepEqual(received.sort(), [1, 2, 3])
+        channel0.close()
+        channel1.close()
+        client1.close(done)
+      }, 300)
+    }).catch(done)
+  })
+
+  it('retries messages the dedupe store failed to claim', function (done) {
+    const channel = this.client.channel('channel.dedupe.failure', { mode: 'polling', pollInterval: 20 })
+    let claims = 0
+
+    channel.subscribe('f', function () {
+      done(new Error('called without claim'))
+    }, { dedupe: true, retries: 1, retryDelay: 10 })
+
+    Array.from(channel.consumers)[0].dedupe.claim = function () {
+      claims++
+      return Promise.reject(new Error('store down'))
+    }
+
+    channel.on('handlerError', function (err, failure) {
+      assert.equal(err.message, 'store down')
+      assert.equal(failure.message, 'x')
+      assert.equal(failure.attempts, 2)
+      assert.equal(claims, 2)
+      channel.close()
+      done()
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('f', 'x')
+    }).catch(done)
+  })
+
+  it('numbers the messages of a key in sequence', function () {
+    const name = 'channel.sequence'
+    const channel = this.client.channel(name, { mode: 'polling' })
+    const db = this.client.db
+
+    return channel.publishMany([
+      { event: 's', message: 1, key: 'a' },
+      { event: 's', message: 2, key: 'b' },
+      { event: 's', message: 3, key: 'a' }
+    ]).then(function () {
+      return channel.publish('s', 4, { key: 'a' })
+    }).then(function () {
+      return db.collection(name).find({ _key: 'a' }).sort({ _seq: 1 }).toArray()
+    }).then(function (docs) {
+      assert.deepEqual(docs.map((doc) => [doc.message, doc._seq]), [[1, 1], [3, 2], [4, 3]])
+      return db.collection(`${name}.counters`).findOne({ _id: { event: 's', key: 'b' } })
+    }).then(function (counter) {
+      assert.equal(counter.seq, 1)
+      channel.close()
+    })
+  })
+
+  it('delivers the messages of a key in sequence and reports gaps', function (done) {
+    const name = 'channel.ordered'
+    const channel = this.client.channel(name, { mode: 'polling', pollInterval: 20 })
+    const received = []
+
+    channel.subscribe('o', (message) => received.push(message), { ordered: true, reorderWindow: 100 })
+
+    channel.on('sequenceGap', function (gap) {
+      assert.deepEqual(received, [1, 2])
+      assert.equal(gap.event, 'o')
+      assert.equal(gap.key, 'k')
+      assert.equal(gap.expected, 3)
+      assert.equal(gap.received, 4)
+      setTimeout(function () {
+        assert.deepEqual(received, [1, 2, 4])
+        channel.close()
+        done()
+      }, 50)
+    })
+
+    channel.ready().then(function (collection) {
+      return collection.insertMany([2, 1, 4].map((seq) => ({ event: 'o', message: seq, _key: 'k', _seq: seq, _ts: new Date() })))
+    }).catch(done)
+  })
+
+  it('numbers the messages of every event of a key on its own', function (done) {
+    const channel = this.client.channel('channel.ordered.events', { mode: 'polling', pollInterval: 20 })
+    const received = { created: [], updated: [] }
+    const start = Date.now()
+
+    channel.on('sequenceGap', (gap) => done(new Error(`Unexpected gap of ${gap.event}`)))
+    channel.subscribe('created', (message) => received.created.push(message), { ordered: true })
+    channel.subscribe('updated', function (message) {
+      received.updated.push(message)
+      if (received.updated.length === 2) {
+        // Held back for the reorder window if it waited for the created messages.
+        assert.ok(Date.now() - start < 400)
+        setTimeout(function () {
+          assert.deepEqual(received, { created: [1, 3], updated: [2, 4] })
+          channel.close()
+          done()
+        }, 100)
+      }
+    }, { ordered: true })
+    assert.throws(() => channel.subscribe('created', () => {}, { ordered: true, filter: { n: 1 } }), /filter/)
+
+    channel.ready().then(function () {
+      return channel.publishMany([
+        { event: 'created', message: 1, key: 'k' },
+        { event: 'updated', message: 2, key: 'k' },
+        { event: 'created', message: 3, key: 'k' },
+        { event: 'updated', message: 4, key: 'k' }
+      ])
+    }).catch(done)
+  })
+
+  it('handles one message of a key at a time', function (done) {
+    const channel = this.client.channel('channel.ordered.serial', { mode: 'polling', pollInterval: 20 })
+    const received = []
+    let running = 0
+    let max = 0
+
+    channel.subscribe('o', function (message) {
+      running++
+      max = Math.max(max, running)
+      return new Promise((resolve) => setTimeout(resolve, 10)).then(function () {
+        running--
+        received.push(message)
+        if (received.length === 3) {
+          assert.equal(max, 1)
+          assert.deepEqual(received, [1, 2, 3])
+          channel.close()
+          done()
+        }
+      })
+    }, { ordered: true })
+
+    channel.ready().then(function () {
+      return channel.publishMany([1, 2, 3].map((message) => ({ event: 'o', message, key: 'k' })))
+    }).catch(done)
+  })
+
+  it('gives no sequence number to duplicates', function () {
+    const name = 'channel.sequence.duplicates'
+    const channel = this.client.channel(name, { mode: 'polling' })
+    const db = this.client.db
+
+    return channel.publish('s', 1, { key: 'a', idempotencyKey: 'one' }).then(function () {
+      return channel.publish('s', 1, { key: 'a', idempotencyKey: 'one' })
+    }).then(function (result) {
+      assert.equal(result.duplicate, true)
+      return channel.publishMany([
+        { event: 's', message: 1, key: 'a', idempotencyKey: 'one' },
+        { event: 's', message: 2, key: 'a', idempotencyKey: 'two' },
+        { event: 's', message: 2, key: 'a', idempotencyKey: 'two' }
+      ], { ordered: false })
+    }).then(function () {
+      return db.collection(name).find({ _key: 'a' }).sort({ _seq: 1 }).toArray()
+    }).then(function (docs) {
+      assert.deepEqual(docs.map((doc) => [doc.message, doc._seq]), [[1, 1], [2, 2]])
+      return db.collection(`${name}.counters`).findOne({ _id: { event: 's', key: 'a' } })
+    }).then(function (counter) {
+      assert.equal(counter.seq, 2)
+      channel.close()
+    })
+  })
+
+  it('replays stored messages', function () {
+    const channel = this.client.channel('channel.replay', { mode: 'polling' })
+    const replayed = []
+    let first, third
+
+    return channel.publishMany([
+      { event: 'r', message: 1 },
+      { event: 'other', message: 2 },
+      { event: 'r', message: 3 },
+      { event: 'r', message: 4 }
+    ]).then(function (results) {
+      first = results[0]._id
+      third = results[2]._id
+      return channel.replay({ from: first, to: third, events: ['r'] }, function (message, event) {
+        assert.equal(event, 'r')
+        replayed.push(message)
+        return new Promise((resolve) => setTimeout(resolve, 10))
+      })
+    }).then(function (count) {
+      assert.equal(count, 2)
+      assert.deepEqual(replayed, [1, 3])
+      return channel.replay({ from: 'nope' }, function () {})
+    }).then(function () {
+      throw new Error('replay should fail')
+    }, function (err) {
+      assert.equal(err.message, 'Mubsub: from must be "earliest", a Date or an ObjectId.')
+      channel.close()
+    })
+  })
+
+  it('starts a subscription from the earliest message', function (done) {
+    const channel = this.client.channel('channel.start.from', { mode: 'polling', pollInterval: 20 })
+    const received = []
+
+    channel.publishMany([1, 2].map((message) => ({ event: 's', message }))).then(function () {
+      channel.subscribe('s', (message) => received.push(message), { startFrom: 'earliest' })
+      return channel.publish('s', 3)
+    }).then(function () {
+      setTimeout(function () {
+        assert.deepEqual(received, [1, 2, 3])
+        channel.close()
+        done()
+      }, 200)
+    }).catch(done)
+  })
+
+  it('reports stats', function (done) {
+    const channel = this.client.channel('channel.stats', { mode: 'polling', pollInterval: 20 })
+
+    channel.subscribe('a', function () {
+      return new Promise((resolve) => setTimeout(resolve, 30))
+    }, { concurrency: 1 })
+
+    channel.ready().then(function () {
+      return channel.publishMany([{ event: 'a', message: 1 }, { event: 'b', message: 2 }])
+    }).then(function () {
+      setTimeout(function () {
+        channel.stats().then(function (stats) {
+          assert.equal(stats.channel, 'channel.stats')
+          assert.equal(stats.transport, 'polling')
+          assert.deepEqual(stats.published, { a: 1, b: 1 })
+          assert.deepEqual(stats.received, { a: 1, b: 1 })
+          assert.equal(stats.latency.a.count, 1)
+          assert.ok(stats.latency.a.sum >= 25)
+          assert.equal(stats.latency.a.buckets[25], 0)
+          assert.equal(stats.latency.a.buckets[10000], 1)
+          assert.equal(String(stats.lastDelivered._id), String(stats.newest._id))
+          assert.equal(stats.lag, 0)
+          assert.equal(stats.recreations, 0)
+          channel.close()
+          done()
+        }).catch(done)
+      }, 200)
+    }).catch(done)
+  })
+
+  it('propagates the trace context to subscribers', function (done) {
+    const otel = fakeOpenTelemetry()
+    const channel = this.client.channel('channel.tracing', {
+      mode: 'polling',
+      pollInterval: 20,
+      tracing: { api: otel.api }
+    })
+    const root = otel.tracer.startSpan('request', {})
+
+    channel.on('t', function () {
+      // Plain listeners run in the published context.
+      assert.equal(otel.api.context.active().span.context.traceId, root.context.traceId)
+    })
+
+    channel.subscribe('t', function (message) {
+      const producer = otel.spans.find((span) => span.name === 'channel.tracing publish')
+      const consumer = otel.api.context.active().span
+      assert.equal(message, 'traced')
+      assert.equal(producer.kind, otel.api.SpanKind.PRODUCER)
+      assert.equal(producer.parent, root.context.spanId)
+      assert.equal(producer.ended, true)
+      assert.equal(consumer.name, 'channel.tracing process')
+      assert.equal(consumer.kind, otel.api.SpanKind.CONSUMER)
+      assert.equal(consumer.parent, producer.context.spanId)
+      assert.equal(consumer.context.traceId, root.context.traceId)
+      channel.close()
+      done()
+    })
+
+    channel.ready().then(function () {
+      otel.api.context.with(otel.api.trace.setSpan({}, root), function () {
+        channel.publish('t', 'traced')
+      })
+    }).catch(done)
+  })
+
+  it('passes headers and metadata to subscribers', function (done) {
+    const client = mubsub(helpers.uri, { headers: { service: 'billing', host: 'a' } })
+    const channel = client.channel('channel.headers', { mode: 'polling', pollInterval: 20 })
+
+    channel.subscribe('h', function (message, meta) {
+      assert.equal(message, 'hello')
+      assert.ok(meta._id)
+      assert.ok(meta._ts instanceof Date)
+      assert.equal(meta.event, 'h')
+      assert.equal(meta.transport, 'polling')
+      assert.deepEqual(meta.headers, { service: 'billing', host: 'b', contentType: 'text/plain' })
+      channel.close()
+      client.close(done)
+    }, { meta: true })
+
+    channel.publish('h', 'hello', { headers: 'text/plain' }).then(function () {
+      throw new Error('publish should fail')
+    }, function (err) {
+      assert.equal(err.message, 'Mubsub: headers must be an object.')
+      return channel.publish('h', 'hello', { headers: { host: 'b', contentType: 'text/plain' } })
+    }).catch(done)
+  })
+
+  it('drains in-flight handlers on close', function (done) {
+    const channel = this.client.channel('channel.drain', { mode: 'polling', pollInterval: 20 })
+    const handled = []
+    let closed = false
+
+    channel.on('close', function () {
+      closed = true
+    })
+
+    channel.subscribe('d', function (message) {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          handled.push(message)
+          resolve()
+        }, 100)
+      })
+    })
+
+    channel.on('document', function () {
+      // The handler is running now.
+      channel.close({ drain: true, timeout: 1000 }).then(function () {
+        assert.deepEqual(handled, ['drained'])
+        assert.equal(closed, true)
+        done()
+      }).catch(done)
+    })
+
+    channel.publish('d', 'drained')
+  })
+
+  it('keeps retrying while draining and rejects new publishes', function (done) {
+    const channel = this.client.channel('channel.drain.retries', { mode: 'polling', pollInterval: 20 })
+    let attempts = 0
+
+    channel.subscribe('d', function () {
+      attempts++
+      if (attempts === 1) {
+        channel.close({ drain: true, timeout: 1000 }).then(function () {
+          assert.equal(attempts, 2)
+          assert.equal(channel.closed, true)
+          done()
+        }).catch(done)
+        assert.equal(channel.closed, false)
+        assert.throws(() => channel.subscribe('d', function () {}), /closed/)
+        channel.publish('d', 'late').then(function () {
+          done(new Error('published while closing'))
+        }, function (err) {
+          assert.equal(err.message, 'Mubsub: channel is closed.')
+        })
+        throw new Error('retry me')
+      }
+    }, { retries: 1, retryDelay: 50 })
+
+    channel.ready().then(function () {
+      return channel.publish('d', 'x')
+    }).catch(done)
+  })
+
+  it('registers its presence and emits join and leave', function (done) {
+    const client = mubsub(helpers.uri)
+    const options = { mode: 'polling', pollInterval: 20, presence: { interval: 50 } }
+    const channel = this.client.channel('channel.presence', options)
+    let other
+
+    channel.subscribe('p', function () {})
+
+    channel.on('join', function (member) {
+      assert.deepEqual(member.events, ['q'])
+      assert.equal(member.pid, process.pid)
+
+      channel.presence().then(function (members) {
+        assert.deepEqual(members.map((m) => m.events), [['p'], ['q']])
+        assert.equal(members[1].transport, 'polling')
+        other.close()
+      }).catch(done)
+    })
+
+    channel.on('leave', function (member) {
+      assert.deepEqual(member.events, ['q'])
+      channel.close()
+      client.close(done)
+    })
+
+    channel.ready().then(function () {
+      setTimeout(function () {
+        other = client.channel('channel.presence', options)
+        other.subscribe('q', function () {})
+      }, 100)
+    }).catch(done)
+  })
+
+  it('waits for a heartbeat before the next one', function () {
+    const name = 'channel.presence.slow'
+    const channel = this.client.channel(name, { mode: 'polling', presence: { interval: 10 } })
+    let proto, updateOne
+    let running = 0
+    let overlapped = false
+
+    return channel.ready()
+      .then(() => {
+        proto = Object.getPrototypeOf(this.client.db.collection(name))
+        updateOne = proto.updateOne
+        // Every heartbeat takes longer than the interval.
+        proto.updateOne = function () {
+          if (this.collectionName !== `${name}.presence`) {
+            return updateOne.apply(this, arguments)
+          }
+          overlapped = overlapped || running > 0
+          running++
+          return new Promise((resolve) => setTimeout(resolve, 50))
+            .then(() => updateOne.apply(this, arguments))
+            .finally(() => running--)
+        }
+        return new Promise((resolve) => setTimeout(resolve, 300))
+      })
+      .then(() => channel.close())
+      .finally(() => {
+        proto.updateOne = updateOne
+      })
+      .then(() => {
+        assert.equal(overlapped, false)
+        assert.equal(running, 0)
+        return channel.presence()
+      })
+      .then((members) => {
+        assert.deepEqual(members, [])
+      })
+  })
 })
+
+/**
+ * Minimal stand-in for the parts of the OpenTelemetry API used by mubsub.
+ */
+function fakeOpenTelemetry () {
+  const spans = []
+  let active = {}
+  let ids = 0
+
+  const tracer = {
+    startSpan (name, options, context) {
+      const parent = context && context.span
+      const span = {
+        name,
+        kind: options.kind,
+        parent: parent && parent.context.spanId,
+        context: { traceId: parent ? parent.context.traceId : `trace${++ids}`, spanId: `span${++ids}` },
+        ended: false,
+        end () { this.ended = true },
+        recordException () {},
+        setStatus () {}
+      }
+      spans.push(span)
+      return span
+    }
+  }
+
+  const api = {
+    ROOT_CONTEXT: {},
+    SpanKind: { PRODUCER: 3, CONSUMER: 4 },
+    SpanStatusCode: { ERROR: 2 },
+    context: {
+      active: () => active,
+      with (context, fn) {
+        const previous = active
+        active = context
+        try {
+          return fn()
+        } finally {
+          active = previous
+        }
+      }
+    },
+    trace: {
+      getTracer: () => tracer,
+      setSpan: (context, span) => Object.assign({}, context, { span }),
+      getSpanContext: (context) => context.span && context.span.context
+    },
+    propagation: {
+      inject (context, carrier) {
+        carrier.traceparent = `00-${context.span.context.traceId}-${context.span.context.spanId}-01`
+      },
+      extract (context, carrier) {
+        const parts = carrier.traceparent.split('-')
+        return Object.assign({}, context, { span: { context: { traceId: parts[1], spanId: parts[2] } } })
+      }
+    }
+  }
+
+  return { api, tracer, spans }
+}
@@ -35,4 +35,263 @@ describe('Connection', function () {
 
     assert.equal(self.client.state, 'connecting')
   })
+
+  it('resolves connected and closes with a promise', function () {
+    const client = mubsub(helpers.uri)
+
+    return client.connected().then(function (db) {
+      assert.equal(db, client.db)
+      assert.equal(client.state, 'connected')
+      return client.close()
+    }).then(function () {
+      assert.equal(client.state, 'destroyed')
+    })
+  })
+
+  it('rejects connected on connection error', function () {
+    const client = mubsub('mongodb://localhost:6666/mubsub_tests', {
+      serverSelectionTimeoutMS: 3000
+    })
+
+    return assert.rejects(client.connected())
+  })
+
+  it('aggregates the metrics of its channels', function () {
+    const client = mubsub(helpers.uri)
+    const channel = client.channel('connection.metrics', { mode: 'polling' })
+
+    return channel.publish('m', 1).then(function () {
+      return client.stats()
+    }).then(function (stats) {
+      assert.deepEqual(Object.keys(stats), ['connection.metrics'])
+      assert.deepEqual(stats['connection.metrics'].published, { m: 1 })
+      return client.metrics()
+    }).then(function (text) {
+      assert.ok(text.includes('# TYPE mubsub_messages_published_total counter'))
+      assert.ok(text.includes('mubsub_messages_published_total{channel="connection.metrics",event="m"} 1'))
+      assert.ok(text.includes('mubsub_transport_info{channel="connection.metrics",transport="polling"} 1'))
+      return new Promise(function (resolve) {
+        const exporter = client.exportMetrics(function (stats) {
+          exporter.stop()
+          resolve(stats)
+        }, { interval: 10, format: 'stats' })
+      })
+    }).then(function (stats) {
+      assert.ok(stats['connection.metrics'])
+      channel.close()
+      return client.close()
+    })
+  })
+
+  it('retries the initial connect', function () {
+    const client = mubsub('mongodb://localhost:6666/mubsub_tests', {
+      serverSelectionTimeoutMS: 500,
+      reconnect: { retries: 2, retryDelay: 10 }
+    })
+    const attempts = []
+
+    client.on('reconnecting', function (retry) {
+      assert.equal(client.state, 'reconnecting')
+      attempts.push([retry.attempt, retry.delay])
+    })
+
+    return assert.rejects(client.connected()).then(function () {
+      assert.deepEqual(attempts, [[1, 10], [2, 20]])
+    })
+  })
+
+  it('fails its channels once it gives up connecting', function () {
+    const client = mubsub('mongodb://localhost:6666/mubsub_tests', {
+      serverSelectionTimeoutMS: 500,
+      reconnect: { retries: 1, retryDelay: 10 }
+    })
+    const channel = client.channel('connection.failed')
+    const errors = []
+
+    client.on('error', function () {})
+    channel.on('error', (err) => errors.push(err))
+
+    return Promise.all([
+      assert.rejects(channel.ready()),
+      assert.rejects(channel.publish('f', 1))
+    ]).then(function () {
+      assert.equal(errors.length, 1)
+      return Promise.all([
+        assert.rejects(channel.ready()),
+        assert.rejects(client.connected()),
+        assert.rejects(channel.presence()),
+        assert.rejects(client.lock('connection.failed'))
+      ])
+    })
+  })
+
+  it('restores its channels once the connection recovered', function (done) {
+    const client = mubsub(helpers.uri)
+    const channel = client.channel('connection.restore', { mode: 'polling', pollInterval: 20 })
+    const received = []
+    const lost = { previousDescription: { hasDataBearingServers: true }, newDescription: { hasDataBearingServers: false } }
+    const recovered = { previousDescription: { hasDataBearingServers: false }, newDescription: { hasDataBearingServers: true } }
+
+    channel.subscribe('r', (message) => received.push(message))
+
+    client.on('reconnecting', function () {
+      assert.equal(client.state, 'reconnecting')
+    })
+
+    client.on('reconnected', function () {
+      assert.equal(client.state, 'connected')
+      channel.publish('r', 3).then(function () {
+        setTimeout(function () {
+          assert.deepEqual(received, [1, 2, 3])
+          channel.close()
+          client.close(done)
+        }, 200)
+      }).catch(done)
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('r', 1)
+    }).then(function () {
+      client.client.emit('topologyDescriptionChanged', lost)
+      return channel.publish('r', 2)
+    }).then(function () {
+      client.client.emit('topologyDescriptionChanged', recovered)
+    }).catch(done)
+  })
+
+  it('closes its channels before closing the client', function (done) {
+    const client = mubsub(helpers.uri)
+    const channel = client.channel('connection.drain', { mode: 'polling', pollInterval: 20 })
+    let handled = false
+
+    channel.subscribe('c', function () {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          handled = true
+          resolve()
+        }, 100)
+      })
+    })
+
+    channel.on('document', function () {
+      client.close({ drain: true }).then(function () {
+        assert.equal(handled, true)
+        assert.equal(channel.closed, true)
+        assert.equal(client.state, 'destroyed')
+        done()
+      }).catch(done)
+    })
+
+    channel.publish('c', 1)
+  })
+
+  it('grants a lock to one owner at a time with increasing tokens', function () {
+    const client = mubsub(helpers.uri)
+    const name = 'connection.lock.' + Date.now()
+    let first
+
+    return client.lock(name, { ttl: 1000 })
+      .then(function (lock) {
+        first = lock
+        assert.equal(typeof lock.token, 'number')
+        return client.lock(name)
+      })
+      .then(function (lock) {
+        assert.equal(lock, null)
+        const waiting = client.lock(name, { wait: 1000, retryInterval: 50 })
+        first.release()
+        return waiting
+      })
+      .then(function (lock) {
+        assert.ok(lock.token > first.token)
+        return first.renew().then(function (renewed) {
+          assert.equal(renewed, false)
+          return lock.release()
+        })
+      })
+      .then(function () {
+        return client.close()
+      })
+  })
+
+  it('elects one leader and hands over when it resigns', function (done) {
+    const client = mubsub(helpers.uri)
+    const name = 'connection.elect.' + Date.now()
+    const first = client.elect(name, { ttl: 300, interval: 50 })
+    let second
+
+    first.once('elected', function (event) {
+      assert.equal(event.name, name)
+      second = client.elect(name, { ttl: 300, interval: 50 })
+
+      setTimeout(function () {
+        assert.equal(second.leader, false)
+        second.once('elected', function (elected) {
+          assert.ok(elected.token > event.token)
+          client.close(done)
+        })
+        first.resign()
+      }, 200)
+    })
+  })
+
+  it('demotes the leader once its lease expires without renewal', function (done) {
+    const client = mubsub(helpers.uri)
+    const name = 'connection.elect.expiry.' + Date.now()
+    // No renewal runs before the lease expires.
+    const election = client.elect(name, { ttl: 100, interval: 1000 })
+    let elected
+
+    election.once('elected', function () {
+      elected = Date.now()
+    })
+    election.once('demoted', function (event) {
+      assert.ok(Date.now() - elected < 500)
+      assert.equal(typeof event.token, 'number')
+      assert.equal(election.leader, false)
+      client.close(done)
+    })
+  })
+
+  it('keeps campaigning after a failed campaign without error listener', function (done) {
+    const client = mubsub(helpers.uri)
+    const name = 'connection.elect.failed.' + Date.now()
+
+    client.connected().then(function () {
+      const proto = Object.getPrototypeOf(client.db.collection('mubsub.leases'))
+      const findOneAndUpdate = proto.findOneAndUpdate
+      let failed = false
+      let warning = null
+      const onWarning = (err) => {
+        warning = err
+      }
+
+      proto.findOneAndUpdate = function () {
+        if (this.collectionName !== 'mubsub.leases' || failed) {
+          return findOneAndUpdate.apply(this, arguments)
+        }
+        failed = true
+        return Promise.reject(new Error('campaign failed'))
+      }
+
+      process.on('warning', onWarning)
+
+      const election = client.elect(name, { ttl: 300, interval: 20 })
+      election.once('elected', function () {
+        proto.findOneAndUpdate = findOneAndUpdate
+        process.removeListener('warning', onWarning)
+        assert.equal(warning.message, 'campaign failed')
+        client.close(done)
+      })
+    }).catch(done)
+  })
+
+  it('rejects locks and elections once closed', function () {
+    const client = mubsub(helpers.uri)
+
+    return client.close().then(function () {
+      assert.throws(() => client.elect('connection.closed'), /connection is closed/)
+      return assert.rejects(client.lock('connection.closed'), /connection is closed/)
+    })
+  })
 })
@@ -19,3 +19,32 @@ before(function (done) {
 after(function (done) {
   exports.clear.call(this, done)
 })
+
+/**
+ * Resolve whether the test server supports change streams (replica set or
+ * sharded cluster).
+ */
+exports.supportsChangeStreams = function (db) {
+  return db
+    .admin()
+    .command({ hello: 1 })
+    .then((res) => Boolean(res.setName || res.msg === 'isdbgrid'))
+}
+
+/**
+ * Resolve once the stored position of a durable subscription reaches `_id`.
+ */
+exports.waitForPosition = function (db, channel, durableName, _id) {
+  const cursors = db.collection(`${channel}.cursors`)
+
+  return new Promise(function (resolve, reject) {
+    function check () {
+      cursors.findOne({ _id: durableName }).then((state) => {
+        if (state && String(state.position) === String(_id)) return resolve(state)
+        setTimeout(check, 20)
+      }).catch(reject)
+    }
+
+    check()
+  })
+}
@@ -0,0 +1,135 @@
+const assert = require('assert')
+const mubsub = require('../lib/index')
+
+describe('Memory', function () {
+  beforeEach(function () {
+    this.client = mubsub.memory({ headers: { service: 'test' } })
+  })
+
+  afterEach(function () {
+    return this.client.close()
+  })
+
+  it('delivers messages through a capped collection', function (done) {
+    const channel = this.client.channel('memory.capped')
+
+    channel.subscribe('a.*', function (message, event) {
+      assert.equal(channel.transport, 'capped')
+      assert.deepEqual(message, { n: 1 })
+      assert.equal(event, 'a.b')
+      done()
+    })
+
+    channel.ready().then(function () {
+      return channel.publish('a.b', { n: 1 })
+    }).catch(done)
+  })
+
+  it('delivers messages by polling', function (done) {
+    const channel = this.client.channel('memory.polling', { mode: 'polling', pollInterval: 20 })
+    const received = []
+
+    channel.subscribe('p', function (message) {
+      received.push(message)
+      if (received.length === 2) {
+        assert.deepEqual(received, [1, 2])
+        done()
+      }
+    })
+
+    channel.publishMany([{ event: 'p', message: 1 }, { event: 'p', message: 2 }]).catch(done)
+  })
+
+  it('keeps the limits of capped collections', function () {
+    const channel = this.client.channel('memory.limits', { max: 3 })
+    const collection = this.client.db.collection('memory.limits')
+
+    return channel.ready()
+      .then(() => channel.publishMany([1, 2, 3, 4, 5].map((n) => ({ event: 'l', message: n }))))
+      .then(() => collection.find({ event: 'l' }).toArray())
+      .then(function (docs) {
+        assert.deepEqual(docs.map((doc) => doc.message), [3, 4, 5])
+      })
+  })
+
+  it('rejects duplicate idempotency keys', function () {
+    const channel = this.client.channel('memory.keys', { mode: 'polling' })
+    let first
+
+    return channel.publish('k', 1, { idempotencyKey: 'once' })
+      .then(function (result) {
+        first = result
+        return channel.publish('k', 2, { idempotencyKey: 'once' })
+      })
+      .then(function (result) {
+        assert.deepEqual(result, { _id: first._id, duplicate: true })
+      })
+  })
+
+  it('frees unique keys of removed and updated documents', function () {
+    const collection = this.client.db.collection('memory.unique')
+
+    return collection.createIndex({ key: 1 }, { unique: true })
+      .then(() => collection.insertOne({ _id: 1, key: 'a' }))
+      .then(() => assert.rejects(collection.insertOne({ _id: 2, key: 'a' }), { code: 11000 }))
+      .then(() => collection.updateOne({ _id: 1 }, { $set: { key: 'b' } }))
+      .then(() => collection.insertOne({ _id: 2, key: 'a' }))
+      .then(() => assert.rejects(collection.insertOne({ _id: 3, key: 'b' }), { code: 11000 }))
+      .then(() => collection.deleteOne({ _id: 1 }))
+      .then(() => collection.insertOne({ _id: 1, key: 'b' }))
+      .then(() => collection.countDocuments())
+      .then(function (count) {
+        assert.equal(count, 2)
+      })
+  })
+
+  it('publishes thousands of messages in linear time', function () {
+    this.timeout(10000)
+    const channel = this.client.channel('memory.fast')
+    const publish = (from, to) => {
+      let done = Promise.resolve()
+      for (let n = from; n < to; n++) {
+        done = done.then(() => channel.publish('f', n))
+      }
+      return done
+    }
+    let first
+
+    return channel.ready()
+      .then(() => {
+        first = Date.now()
+        return publish(0, 1000)
+      })
+      .then(() => {
+        first = Date.now() - first
+        const next = Date.now()
+        return publish(1000, 3000).then(() => Date.now() - next)
+      })
+      .then(function (next) {
+        // Twice the messages take about twice the time, not four times.
+        assert.ok(next < 3 * first + 200, `${next}ms for 2000 after ${first}ms for 1000`)
+      })
+  })
+
+  it('lists and clears published messages', function () {
+    const client = this.client
+    const channel = client.channel('memory.published', { codec: 'json' })
+
+    return channel.publish('order.created', { id: 1 }, { headers: { tenant: 'a' } })
+      .then(() => channel.publish('order.paid', { id: 1 }))
+      .then(() => channel.publish('user.created', { id: 2 }))
+      .then(function () {
+        const published = client.published('memory.published', 'order.*')
+        assert.deepEqual(published.map((item) => [item.event, item.message]), [
+          ['order.created', { id: 1 }],
+          ['order.paid', { id: 1 }]
+        ])
+        assert.deepEqual(published[0].headers, { service: 'test', tenant: 'a' })
+        assert.equal(client.published('memory.published').length, 3)
+        assert.deepEqual(client.published('memory.unknown'), [])
+
+        client.clear()
+        assert.deepEqual(client.published('memory.published'), [])
+      })
+  })
+})